@@ -0,0 +1,545 @@
+"use client";
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  FiAlertTriangle,
+  FiKey,
+  FiLogOut,
+  FiPause,
+  FiPlay,
+  FiRefreshCw,
+  FiShield,
+  FiSliders,
+  FiUsers,
+} from "react-icons/fi";
+import { INJECTION_POLICIES } from "@/lib/moderation/injection";
+
+// Presenter dashboard: live controls, quotas, key pool and recent errors
+const POLL_MS = 10000;
+
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(
+      data.content || `Request failed (${response.status})`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+const Panel = ({ icon: Icon, title, children }) => (
+  <section className="bg-black/20 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
+    <div className="flex items-center justify-between mb-4">
+      <h2 className="flex items-center space-x-2 text-xl font-bold text-white">
+        <Icon className="text-blue-300" />
+        <span>{title}</span>
+      </h2>
+    </div>
+    {children}
+  </section>
+);
+
+const LoginForm = ({ onLogin }) => {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      await api("/api/admin/login", {
+        method: "POST",
+        body: JSON.stringify({ password }),
+      });
+      onLogin();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      className="max-w-sm mx-auto mt-32 bg-black/20 border border-white/10 rounded-2xl p-8 space-y-4"
+    >
+      <h1 className="text-2xl font-bold text-white">Nova Admin</h1>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Admin password"
+        autoFocus
+        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-3 text-white placeholder-gray-300"
+      />
+      {error && <p className="text-red-300 text-sm">{error}</p>}
+      <button
+        type="submit"
+        className="w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-3 rounded-lg font-semibold"
+      >
+        Sign in
+      </button>
+    </form>
+  );
+};
+
+export default function AdminDashboard() {
+  const [authenticated, setAuthenticated] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [personas, setPersonas] = useState([]);
+  const [quotas, setQuotas] = useState([]);
+  const [keys, setKeys] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [incidents, setIncidents] = useState([]);
+  const [rulesDraft, setRulesDraft] = useState(null);
+  const [modelDraft, setModelDraft] = useState("");
+  const [notice, setNotice] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [nextSettings, nextQuotas, nextErrors, nextIncidents] =
+        await Promise.all([
+          api("/api/admin/settings"),
+          api("/api/admin/quotas"),
+          api("/api/admin/errors"),
+          api("/api/admin/incidents"),
+        ]);
+      setSettings(nextSettings);
+      setQuotas(nextQuotas.quotas);
+      setErrors(nextErrors.errors);
+      setIncidents(nextIncidents.incidents);
+
+      // Stored keys when the key store is set up, else the env key pool
+      const pool = await api("/api/admin/keys").catch(() =>
+        api("/api/keys/status")
+      );
+      setKeys(pool.keys);
+    } catch (err) {
+      if (err.status === 401) setAuthenticated(false);
+      else setNotice(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    api("/api/admin/login")
+      .then((data) => setAuthenticated(data.authenticated))
+      .catch(() => setAuthenticated(false));
+    api("/api/personas")
+      .then((data) => setPersonas(data.personas))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!authenticated) return;
+    refresh();
+    const interval = setInterval(refresh, POLL_MS);
+    return () => clearInterval(interval);
+  }, [authenticated, refresh]);
+
+  useEffect(() => {
+    setModelDraft(settings?.model || "");
+  }, [settings?.model]);
+
+  const changeSettings = async (changes) => {
+    try {
+      setSettings(
+        await api("/api/admin/settings", {
+          method: "PATCH",
+          body: JSON.stringify(changes),
+        })
+      );
+    } catch (err) {
+      setNotice(err.message);
+    }
+  };
+
+  const editRules = () =>
+    setRulesDraft({
+      blockedTerms: settings.blockedTerms.join("\n"),
+      blockedPatterns: settings.blockedPatterns.join("\n"),
+    });
+
+  const saveRules = async () => {
+    await changeSettings(rulesDraft);
+    setRulesDraft(null);
+  };
+
+  const resetQuota = async (subject) => {
+    await api(`/api/admin/quotas/${encodeURIComponent(subject)}`, {
+      method: "DELETE",
+    }).catch((err) => setNotice(err.message));
+    refresh();
+  };
+
+  const raiseQuota = async (subject, current) => {
+    const value = window.prompt(`New daily limit for ${subject}`, current * 2);
+    if (!value) return;
+    await api(`/api/admin/quotas/${encodeURIComponent(subject)}`, {
+      method: "PATCH",
+      body: JSON.stringify({ limit: Number(value) }),
+    }).catch((err) => setNotice(err.message));
+    refresh();
+  };
+
+  const logout = async () => {
+    await api("/api/admin/login", { method: "DELETE" });
+    setAuthenticated(false);
+  };
+
+  const page =
+    "min-h-screen bg-gradient-to-br from-blue-900 via-indigo-900 to-purple-900";
+
+  if (authenticated === null) return <div className={page} />;
+  if (!authenticated) {
+    return (
+      <div className={`${page} p-6`}>
+        <LoginForm onLogin={() => setAuthenticated(true)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${page} p-6`}>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <header className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-white">Nova Admin</h1>
+            <p className="text-blue-200">Live event controls</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={refresh}
+              className="p-2 hover:bg-white/10 rounded-lg text-white"
+              aria-label="Refresh"
+            >
+              <FiRefreshCw className="text-xl" />
+            </button>
+            <button
+              onClick={logout}
+              className="flex items-center space-x-2 px-3 py-2 hover:bg-white/10 rounded-lg text-white"
+            >
+              <FiLogOut />
+              <span>Sign out</span>
+            </button>
+          </div>
+        </header>
+
+        {notice && (
+          <div
+            className="bg-red-500/20 border border-red-400/40 text-red-100 rounded-lg px-4 py-3 cursor-pointer"
+            onClick={() => setNotice(null)}
+          >
+            {notice}
+          </div>
+        )}
+
+        {/* Live controls */}
+        <Panel icon={FiSliders} title="Live controls">
+          {settings && (
+            <div className="grid gap-6 md:grid-cols-3">
+              <div>
+                <p className="text-blue-200 text-sm mb-2">AI answers</p>
+                <button
+                  onClick={() =>
+                    changeSettings({ aiPaused: !settings.aiPaused })
+                  }
+                  className={`flex items-center space-x-2 px-4 py-2 rounded-lg font-semibold text-white ${
+                    settings.aiPaused
+                      ? "bg-green-600 hover:bg-green-500"
+                      : "bg-red-600 hover:bg-red-500"
+                  }`}
+                >
+                  {settings.aiPaused ? <FiPlay /> : <FiPause />}
+                  <span>{settings.aiPaused ? "Resume AI" : "Pause AI"}</span>
+                </button>
+              </div>
+
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  changeSettings({ model: modelDraft });
+                }}
+              >
+                <label className="block text-blue-200 text-sm mb-2">
+                  Model (blank = AI_MODEL)
+                </label>
+                <input
+                  value={modelDraft}
+                  onChange={(e) => setModelDraft(e.target.value)}
+                  onBlur={() => changeSettings({ model: modelDraft })}
+                  placeholder="e.g. openai/gpt-4o-mini"
+                  className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white placeholder-gray-400"
+                />
+              </form>
+
+              <div>
+                <label className="block text-blue-200 text-sm mb-2">
+                  Persona for everyone
+                </label>
+                <select
+                  value={settings.personaId || ""}
+                  onChange={(e) =>
+                    changeSettings({ personaId: e.target.value })
+                  }
+                  className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white"
+                >
+                  <option value="" className="text-gray-900">
+                    Visitor&apos;s choice
+                  </option>
+                  {personas.map((persona) => (
+                    <option
+                      key={persona.id}
+                      value={persona.id}
+                      className="text-gray-900"
+                    >
+                      {persona.name} · {persona.tagline}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+        </Panel>
+
+        {/* Quotas */}
+        <Panel icon={FiUsers} title={`Active quotas (${quotas.length})`}>
+          {quotas.length === 0 ? (
+            <p className="text-blue-200">No questions asked yet today.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-left text-white">
+                <thead className="text-blue-200 text-sm">
+                  <tr>
+                    <th className="py-2 pr-4">Visitor / class</th>
+                    <th className="py-2 pr-4">Used</th>
+                    <th className="py-2 pr-4">Resets</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/10">
+                  {quotas.map((quota) => (
+                    <tr key={quota.subject}>
+                      <td className="py-2 pr-4 font-mono text-sm">
+                        {quota.subject}
+                      </td>
+                      <td className="py-2 pr-4">
+                        {quota.used} / {quota.limit}
+                      </td>
+                      <td className="py-2 pr-4 text-sm text-blue-200">
+                        {formatTime(quota.reset * 1000)}
+                      </td>
+                      <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                        <button
+                          onClick={() => resetQuota(quota.subject)}
+                          className="px-3 py-1 bg-white/10 hover:bg-white/20 rounded-lg text-sm"
+                        >
+                          Reset
+                        </button>
+                        <button
+                          onClick={() => raiseQuota(quota.subject, quota.limit)}
+                          className="px-3 py-1 bg-blue-600/70 hover:bg-blue-500/70 rounded-lg text-sm"
+                        >
+                          Raise
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Panel>
+
+        {/* Moderation */}
+        <Panel icon={FiShield} title="Moderation">
+          {settings && (
+            <div className="mb-6">
+              {rulesDraft ? (
+                <div className="grid gap-4 md:grid-cols-2">
+                  <label className="block">
+                    <span className="block text-blue-200 text-sm mb-2">
+                      Blocked words and phrases (one per line)
+                    </span>
+                    <textarea
+                      value={rulesDraft.blockedTerms}
+                      onChange={(e) =>
+                        setRulesDraft({
+                          ...rulesDraft,
+                          blockedTerms: e.target.value,
+                        })
+                      }
+                      rows="6"
+                      className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white font-mono text-sm"
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="block text-blue-200 text-sm mb-2">
+                      Blocked patterns (regular expressions, one per line)
+                    </span>
+                    <textarea
+                      value={rulesDraft.blockedPatterns}
+                      onChange={(e) =>
+                        setRulesDraft({
+                          ...rulesDraft,
+                          blockedPatterns: e.target.value,
+                        })
+                      }
+                      rows="6"
+                      className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white font-mono text-sm"
+                    />
+                  </label>
+                  <div className="md:col-span-2 flex justify-end space-x-2">
+                    <button
+                      onClick={() => setRulesDraft(null)}
+                      className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-white"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveRules}
+                      className="px-4 py-2 bg-blue-600/70 hover:bg-blue-500/70 rounded-lg text-white"
+                    >
+                      Save rules
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between text-blue-200">
+                  <span>
+                    {settings.blockedTerms.length} extra blocked words,{" "}
+                    {settings.blockedPatterns.length} patterns. Emails and phone
+                    numbers are always removed.
+                  </span>
+                  <button
+                    onClick={editRules}
+                    className="px-3 py-1 bg-white/10 hover:bg-white/20 rounded-lg text-sm text-white"
+                  >
+                    Edit rules
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {settings && (
+            <label className="mb-6 flex items-center justify-between gap-4 text-blue-200">
+              <span>Prompt-injection attempts</span>
+              <select
+                value={settings.injectionPolicy || ""}
+                onChange={(e) =>
+                  changeSettings({ injectionPolicy: e.target.value })
+                }
+                className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white"
+              >
+                <option value="" className="text-gray-900">
+                  Server default
+                </option>
+                {INJECTION_POLICIES.map((policy) => (
+                  <option
+                    key={policy.id}
+                    value={policy.id}
+                    className="text-gray-900"
+                  >
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {incidents.length === 0 ? (
+            <p className="text-blue-200">Nothing has been blocked.</p>
+          ) : (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {incidents.map((incident, index) => (
+                <li
+                  key={`${incident.at}-${index}`}
+                  className="bg-white/5 rounded-lg px-4 py-2 text-sm text-white"
+                >
+                  <div className="flex flex-wrap items-center gap-x-3 text-blue-200">
+                    <span>{formatTime(incident.at)}</span>
+                    <span className="font-mono text-yellow-200">
+                      {incident.stage}
+                    </span>
+                    <span className="font-mono">{incident.rule}</span>
+                    <span className="font-mono">{incident.subject}</span>
+                  </div>
+                  <p className="mt-1 break-words">{incident.excerpt}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Panel>
+
+        {/* Key pool */}
+        <Panel icon={FiKey} title="API keys">
+          {!keys || keys.length === 0 ? (
+            <p className="text-blue-200">No keys configured.</p>
+          ) : (
+            <ul className="grid gap-2 md:grid-cols-2">
+              {keys.map((key) => (
+                <li
+                  key={key.id}
+                  className="flex items-center justify-between bg-white/5 rounded-lg px-4 py-2 text-white"
+                >
+                  <span className="font-mono text-sm">
+                    {key.label || key.id}
+                  </span>
+                  <span
+                    className={`text-sm px-2 py-0.5 rounded ${
+                      key.state === "healthy"
+                        ? "bg-green-600/60"
+                        : key.state === "cooling_down"
+                        ? "bg-yellow-600/60"
+                        : "bg-red-600/60"
+                    }`}
+                  >
+                    {key.state.replace("_", " ")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Panel>
+
+        {/* Recent errors */}
+        <Panel icon={FiAlertTriangle} title="Recent errors">
+          {errors.length === 0 ? (
+            <p className="text-blue-200">No errors. Smooth driving! 🏁</p>
+          ) : (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {errors.map((error, index) => (
+                <li
+                  key={`${error.at}-${index}`}
+                  className="bg-white/5 rounded-lg px-4 py-2 text-sm text-white"
+                >
+                  <span className="text-blue-200 mr-3">
+                    {formatTime(error.at)}
+                  </span>
+                  <span className="font-mono text-yellow-200 mr-3">
+                    {error.source}
+                    {error.status ? ` ${error.status}` : ""}
+                  </span>
+                  {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </Panel>
+      </div>
+    </div>
+  );
+}
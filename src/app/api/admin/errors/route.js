@@ -0,0 +1,10 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { recentErrors } from "@/lib/errorLog";
+
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  return NextResponse.json({ errors: await recentErrors() });
+}
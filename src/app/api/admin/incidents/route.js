@@ -0,0 +1,11 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { recentIncidents } from "@/lib/moderation";
+
+// Messages the moderation layer blocked, newest first
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  return NextResponse.json({ incidents: await recentIncidents() });
+}
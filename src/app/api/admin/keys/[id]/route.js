@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { removeKey, updateKey } from "@/lib/AI/keyStore";
+
+function notFound() {
+  return NextResponse.json(
+    { role: "error", content: "Key not found" },
+    { status: 404 }
+  );
+}
+
+// Relabel or enable/disable a key: { label?, enabled? }
+export async function PATCH(request, { params }) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const { id } = await params;
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+  const key = await updateKey(id, {
+    label: payload.label,
+    enabled: payload.enabled,
+  });
+
+  return key ? NextResponse.json(key) : notFound();
+}
+
+export async function DELETE(request, { params }) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const { id } = await params;
+  return (await removeKey(id))
+    ? new Response(null, { status: 204 })
+    : notFound();
+}
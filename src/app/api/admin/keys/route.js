@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { getKeys } from "@/lib/AI/getRotatedKey";
+import { getPoolStatus } from "@/lib/AI/keyHealth";
+import { addKey, isKeyStoreConfigured, listKeys } from "@/lib/AI/keyStore";
+
+function storeNotConfigured() {
+  return NextResponse.json(
+    { role: "error", content: "KEY_STORE_SECRET is not configured" },
+    { status: 503 }
+  );
+}
+
+// Lists stored keys (labels and fingerprints only) with their pool health
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+  if (!isKeyStoreConfigured()) return storeNotConfigured();
+
+  const keys = await listKeys();
+  const health = getPoolStatus(await getKeys()).keys;
+
+  return NextResponse.json({
+    keys: keys.map((key) => ({
+      ...key,
+      state: key.enabled
+        ? health.find((entry) => entry.id === key.fingerprint)?.state ??
+          "healthy"
+        : "disabled",
+    })),
+    usingEnvFallback: !keys.some((key) => key.enabled),
+  });
+}
+
+export async function POST(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+  if (!isKeyStoreConfigured()) return storeNotConfigured();
+
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+  if (typeof payload.key !== "string" || !payload.key.trim()) {
+    return NextResponse.json(
+      { role: "error", content: "A key is required" },
+      { status: 400 }
+    );
+  }
+
+  const key = await addKey({
+    key: payload.key.trim(),
+    label: typeof payload.label === "string" ? payload.label.trim() : "",
+  });
+  return NextResponse.json(key, { status: 201 });
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from "next/server";
+import {
+  ADMIN_COOKIE,
+  ADMIN_SESSION_SECONDS,
+  checkAdminPassword,
+  createAdminToken,
+  isAdmin,
+} from "@/lib/adminAuth";
+import { isSessionConfigured } from "@/lib/session";
+
+export async function GET(request) {
+  return NextResponse.json({ authenticated: await isAdmin(request) });
+}
+
+// Exchanges ADMIN_PASSWORD for a signed dashboard cookie
+export async function POST(request) {
+  if (!process.env.ADMIN_PASSWORD || !isSessionConfigured()) {
+    return NextResponse.json(
+      {
+        role: "error",
+        content: "ADMIN_PASSWORD and SESSION_SECRET must be configured",
+      },
+      { status: 503 }
+    );
+  }
+
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+  if (!checkAdminPassword(payload.password)) {
+    return NextResponse.json(
+      { role: "error", content: "Wrong password" },
+      { status: 401 }
+    );
+  }
+
+  const response = NextResponse.json({ authenticated: true });
+  response.cookies.set(ADMIN_COOKIE, await createAdminToken(), {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: ADMIN_SESSION_SECONDS,
+  });
+  return response;
+}
+
+export async function DELETE() {
+  const response = NextResponse.json({ authenticated: false });
+  response.cookies.delete(ADMIN_COOKIE);
+  return response;
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { QuestionError, moderateQuestion } from "@/lib/questionQueue";
+
+// { status } approves, rejects or marks a question answered;
+// { position } moves a pending question within the queue
+export async function PATCH(request, { params }) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const { id } = await params;
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const question = await moderateQuestion(id, {
+      status: payload.status,
+      position: payload.position,
+    });
+    if (!question) {
+      return NextResponse.json(
+        { role: "error", content: "Question not found" },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json(question);
+  } catch (error) {
+    if (error instanceof QuestionError) {
+      return NextResponse.json(
+        { role: "error", content: error.message },
+        { status: error.status }
+      );
+    }
+    throw error;
+  }
+}
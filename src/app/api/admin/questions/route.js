@@ -0,0 +1,14 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { listQuestions } from "@/lib/questionQueue";
+
+// The whole audience queue for the presenter's moderation panel
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  return NextResponse.json(
+    { questions: await listQuestions() },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { resetQuota, setDailyLimit } from "@/lib/rateLimit";
+
+// Raise a subject's daily limit: { limit } (null restores the default)
+export async function PATCH(request, { params }) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const { subject } = await params;
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+  const limit = payload.limit === null ? null : Number(payload.limit);
+
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    return NextResponse.json(
+      { role: "error", content: "limit must be a positive whole number" },
+      { status: 400 }
+    );
+  }
+
+  await setDailyLimit(decodeURIComponent(subject), limit);
+  return NextResponse.json({ subject: decodeURIComponent(subject), limit });
+}
+
+// Reset a subject's usage to zero
+export async function DELETE(request, { params }) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const { subject } = await params;
+  await resetQuota(decodeURIComponent(subject));
+  return new Response(null, { status: 204 });
+}
@@ -0,0 +1,14 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { listQuotas } from "@/lib/rateLimit";
+
+// Every visitor or classroom with a daily quota in use, busiest first
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const quotas = await listQuotas();
+  return NextResponse.json({
+    quotas: quotas.sort((a, b) => b.used - a.used),
+  });
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { getSettings, updateSettings } from "@/lib/settings";
+
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  return NextResponse.json(await getSettings());
+}
+
+// { aiPaused?, model?, personaId?, blockedTerms?, blockedPatterns?,
+// injectionPolicy? } - empty model/personaId/injectionPolicy clears the
+// override
+export async function PATCH(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+  return NextResponse.json(await updateSettings(payload));
+}
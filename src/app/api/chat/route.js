@@ -1,121 +1,385 @@
-import { Redis } from "@upstash/redis";
 import { NextResponse } from "next/server";
+import { buildContext } from "@/lib/AI/contextBuilder";
+import { parseChatRequest } from "@/lib/AI/chatRequest";
 import { fetchWithRotatedKey } from "@/lib/AI/fetchWithRotatedKey";
+import { ProviderError } from "@/lib/AI/providers";
+import { encodeSSE } from "@/lib/AI/sse";
+import { CHAT_ERRORS, chatError } from "@/lib/chatErrors";
+import { getClientIdentity } from "@/lib/clientIdentity";
+import { conversationOwner } from "@/lib/conversations";
+import { logError } from "@/lib/errorLog";
+import { knowledgePrompt, searchKnowledge, toSources } from "@/lib/knowledge";
+import {
+  INJECTION_REFUSAL,
+  INJECTION_REMINDER,
+  REFUSAL,
+  checkText,
+  createStreamModerator,
+  detectInjection,
+  getModerationRules,
+  logIncident,
+} from "@/lib/moderation";
+import { getPersona } from "@/lib/personas/loadPersonas";
+import { consume, peek, rateLimitHeaders } from "@/lib/rateLimit";
+import { getSettings } from "@/lib/settings";
+import {
+  MAX_TOOL_ROUNDS,
+  runToolCalls,
+  toolDefinitions,
+  toolsEnabled,
+} from "@/lib/tools";
 
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
-
-const IP_LIMIT = 100;
+// Error responses carry a stable code for the chat view (see lib/chatErrors)
+function errorResponse(code, { content, retryAfter, headers } = {}) {
+  return NextResponse.json(chatError(code, { content, retryAfter }), {
+    status: CHAT_ERRORS[code].status,
+    headers,
+  });
+}
 
-function getIP(req) {
-  return (req.headers.get("x-forwarded-for") || "")
-    .toString()
-    .split(",")[0]
-    .trim();
+function limitReason(limit, identity) {
+  return limit.name === "burst"
+    ? `Whoa, slow down! Try again in ${limit.retryAfter} seconds.`
+    : limit.name === "network"
+    ? "Too many questions from your network today. Try again tomorrow!"
+    : identity.classroom
+    ? "Your classroom has used up today's shared questions. Try again tomorrow!"
+    : "AI usage limit reached. Get full access when we launch.";
 }
 
-async function checkRateLimit(req) {
-  const IP = getIP(req);
+// Forwards the provider's content deltas to the client as SSE events:
+// { type: "delta", content } ... then { type: "done" } or
+// { type: "error", code, content }.
+// Moderation may send { type: "replace", content } with the whole message:
+// redacted, or with `moderated: true` the refusal for a blocked reply.
+// A { type: "sources", sources } event comes first when the knowledge base
+// was quoted, and a { type: "tool", tool } event shows each tool the model
+// called. `continueWithTools` runs the calls and returns their cards and the
+// upstream that carries on the reply. When the client hangs up,
+// `upstreamAbort` cancels the provider request.
+function streamReply(
+  limit,
+  upstream,
+  { rules, subject, sources, upstreamAbort, continueWithTools }
+) {
+  let cancelled = false;
 
-  const used = await redis.get(`AIDemoUsage:${IP}`);
-  if (used >= IP_LIMIT) {
-    return {
-      allowed: false,
-      reason: "AI usage limit reached. Get full access when we launch.",
-      status: 429,
-      new: false,
-    };
-  }
-  if (!used) {
-    return {
-      allowed: true,
-      reason: null,
-      status: 200,
-      new: true,
-    };
-  }
+  const body = new ReadableStream({
+    async start(controller) {
+      // The client may hang up mid-reply; stop writing once it has
+      const send = (event) => {
+        if (!cancelled) controller.enqueue(encodeSSE(event));
+      };
+      const moderator = createStreamModerator(rules);
+      let reply = "";
 
-  return {
-    allowed: true,
-    reason: null,
-    status: 200,
-    new: false,
-  };
+      // Returns false once the reply has been blocked
+      const forward = async ({ blockedBy, events }) => {
+        if (blockedBy) {
+          await logIncident({
+            stage: "output",
+            rule: blockedBy,
+            excerpt: checkText(moderator.text, rules).text,
+            subject,
+          });
+          send({ type: "replace", content: REFUSAL, moderated: true });
+          return false;
+        }
+        events.forEach(send);
+        return true;
+      };
+
+      if (sources.length) send({ type: "sources", sources });
+
+      try {
+        let allowed = true;
+        for (let round = 1; upstream && allowed && !cancelled; round++) {
+          let toolCalls = null;
+          let roundText = "";
+          for await (const chunk of upstream) {
+            if (cancelled) break;
+            if (typeof chunk !== "string") {
+              toolCalls = chunk.toolCalls;
+              continue;
+            }
+            // Text after a tool call starts a new paragraph
+            const delta = roundText || !reply ? chunk : `\n\n${chunk}`;
+            roundText += chunk;
+            reply += delta;
+            allowed = await forward(moderator.push(delta));
+            if (!allowed) break;
+          }
+
+          upstream = null;
+          if (toolCalls && allowed && !cancelled) {
+            const next = await continueWithTools(toolCalls, roundText, round);
+            next.cards.forEach((tool) => send({ type: "tool", tool }));
+            upstream = next.upstream;
+          }
+        }
+        if (allowed && !cancelled) await forward(moderator.flush());
+
+        if (!reply) {
+          await limit.refund();
+          if (upstreamAbort.signal.aborted) return;
+          await logError("chat-stream", "No response received");
+          send({ type: "error", ...chatError("empty_reply") });
+        } else {
+          send({ type: "done" });
+        }
+      } catch (error) {
+        if (!reply) await limit.refund();
+        // The client hung up, so nobody is waiting for an error
+        if (upstreamAbort.signal.aborted) return;
+
+        console.error(error);
+        await logError("chat-stream", error);
+        send({ type: "error", ...chatError("upstream_error") });
+      }
+
+      if (!cancelled) controller.close();
+    },
+    cancel() {
+      cancelled = true;
+      upstreamAbort.abort();
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      ...rateLimitHeaders(limit),
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
+
+// Current quota for the caller, without using any of it
+export async function GET(request) {
+  const identity = await getClientIdentity(request);
+  const limit = await peek(identity);
+  return NextResponse.json(
+    {
+      limit: limit.limit,
+      remaining: limit.remaining,
+      reset: limit.reset,
+      classroom: identity.classroom,
+    },
+    { headers: rateLimitHeaders(limit) }
+  );
 }
 
 export async function POST(request) {
-  const limit = await checkRateLimit(request);
+  // Only well-formed chat messages go any further
+  let payload;
+  try {
+    payload = parseChatRequest(await request.json().catch(() => null));
+  } catch (error) {
+    return errorResponse("bad_request", { content: error.message });
+  }
+
+  // The presenter can pause the AI from /admin without taking the site down
+  const settings = await getSettings();
+  if (settings.aiPaused) {
+    return errorResponse("ai_paused");
+  }
+
+  // Consumed up front so concurrent requests can't overshoot the quota;
+  // refunded below if no reply comes back
+  const identity = await getClientIdentity(request);
+  const limit = await consume(identity);
+  const headers = rateLimitHeaders(limit);
 
   if (!limit.allowed) {
-    return NextResponse.json(
-      { role: "error", content: limit.reason },
-      { status: limit.status }
+    return errorResponse(
+      limit.name === "burst" ? "rate_limited" : "quota_exceeded",
+      {
+        content: limitReason(limit, identity),
+        retryAfter: limit.retryAfter,
+        headers,
+      }
     );
   }
 
-  const payload = await request.json();
-
-  if (!payload.messages) {
+  // Personal data never goes upstream, and neither do blocked messages.
+  // A blocked latest message is answered with a refusal instead.
+  const rules = await getModerationRules();
+  const checked = payload.messages.map((message) => {
+    const result = checkText(message.content, rules);
+    return {
+      message,
+      ...result,
+      injection:
+        rules.injectionPolicy === "off" ? null : detectInjection(result.text),
+    };
+  });
+  const latest = checked[checked.length - 1];
+  if (latest.blockedBy) {
+    await limit.refund();
+    await logIncident({
+      stage: "input",
+      rule: latest.blockedBy,
+      excerpt: latest.text,
+      subject: identity.key,
+    });
     return NextResponse.json(
-      { role: "error", content: "No messages provided" },
-      { status: 400 }
+      { role: "assistant", content: REFUSAL, moderated: true },
+      { headers }
     );
   }
 
-  const systemPrompt = {
-    role: "system",
-    content: `You are a friendly, engaging AI assistant named Nova, created for a school technology showcase. 
-Your goal is to give clear, concise, and interesting responses that are fun to watch on a projector. 
-Always greet users warmly, answer in a way that keeps the audience engaged, and adapt your tone to be 
-enthusiastic yet professional. Use occasional emojis to add visual flair (but no more than 2 per message). 
-Avoid controversial or inappropriate topics, and always keep your responses school-safe.
+  // Prompt-injection attempts are handled by the policy set in /admin
+  if (latest.injection) {
+    await logIncident({
+      stage: "input",
+      rule: `injection: ${latest.injection}`,
+      excerpt: latest.text,
+      subject: identity.key,
+    });
+    if (rules.injectionPolicy === "block") {
+      await limit.refund();
+      return NextResponse.json(
+        { role: "assistant", content: INJECTION_REFUSAL, moderated: true },
+        { headers }
+      );
+    }
+  }
+  // Earlier messages that look like attempts are left out of the prompt
+  const guarded = ["block", "guard"].includes(rules.injectionPolicy);
+  const messages = checked
+    .filter(
+      ({ blockedBy, injection }, index) =>
+        !blockedBy && !(guarded && injection && index < checked.length - 1)
+    )
+    .map(({ message, text }) => ({ ...message, content: text }));
 
-When explaining concepts, keep sentences short, use bullet points when helpful, and occasionally 
-give fun facts related to the topic use emojis. If the user asks for something creative, make it colorful.
+  // Stopping the reply in the browser cancels the upstream call too
+  const upstreamAbort = new AbortController();
+  request.signal?.addEventListener("abort", () => upstreamAbort.abort());
 
-End every answer with either:
-- a short follow-up question to keep the conversation going, OR
-- a quick suggestion for something else the user can ask.
+  const persona = await getPersona(settings.personaId || payload.personaId);
 
-`,
+  // The best knowledge-base passages are quoted after the system prompt, and
+  // the client is told about them so it can list the ones the answer cites
+  const passages = await searchKnowledge(latest.text, persona.id).catch(
+    (error) => {
+      console.warn("Could not search the knowledge base", error);
+      return [];
+    }
+  );
+  const sources = toSources(passages);
+  const systemPrompt = {
+    role: "system",
+    content: passages.length
+      ? `${persona.systemPrompt}\n\n${knowledgePrompt(passages)}`
+      : persona.systemPrompt,
   };
 
-  const chatHistory = [systemPrompt, ...payload.messages.slice(-5)];
-
   try {
-    const data = await fetchWithRotatedKey({ messages: chatHistory });
+    const chatHistory = await buildContext({
+      systemPrompt,
+      messages,
+      owner: identity.key,
+      // Only a signed session's saved chat can hold a summary
+      conversationId: conversationOwner(identity)
+        ? payload.conversationId
+        : null,
+      model: settings.model,
+      signal: upstreamAbort.signal,
+    });
+    if (latest.injection && rules.injectionPolicy === "guard") {
+      chatHistory.push(INJECTION_REMINDER);
+    }
 
-    const reply = data.choices?.[0]?.message?.content;
-    if (!reply) {
-      return NextResponse.json({
-        role: "error",
-        content: "No response received",
+    // The model may call the calculators in lib/tools; they run here and
+    // their results are added to the prompt for the next request. After
+    // MAX_TOOL_ROUNDS rounds no tools are offered, so the model has to answer.
+    const tools = toolsEnabled() ? toolDefinitions() : undefined;
+    const ask = (round) =>
+      fetchWithRotatedKey({
+        messages: chatHistory,
+        model: settings.model,
+        stream: payload.stream,
+        tools: round < MAX_TOOL_ROUNDS ? tools : undefined,
+        signal: upstreamAbort.signal,
       });
+    const useTools = (calls, content) => {
+      const { messages: results, cards } = runToolCalls(calls, content);
+      chatHistory.push(...results);
+      return cards;
+    };
+
+    if (payload.stream) {
+      return streamReply(limit, await ask(0), {
+        rules,
+        subject: identity.key,
+        sources,
+        upstreamAbort,
+        continueWithTools: async (calls, content, round) =>
+          round > MAX_TOOL_ROUNDS
+            ? { cards: [], upstream: null }
+            : { cards: useTools(calls, content), upstream: await ask(round) },
+      });
+    }
+
+    let data = await ask(0);
+    const parts = [data.content];
+    const toolCards = [];
+    for (
+      let round = 1;
+      data.toolCalls?.length && round <= MAX_TOOL_ROUNDS;
+      round++
+    ) {
+      toolCards.push(...useTools(data.toolCalls, data.content));
+      data = await ask(round);
+      parts.push(data.content);
+    }
+
+    const reply = parts.filter(Boolean).join("\n\n");
+    if (!reply) {
+      await limit.refund();
+      await logError("chat", "No response received");
+      return errorResponse("empty_reply", { headers });
     }
-    if (limit.new) {
-      await redis.set(`AIDemoUsage:${getIP(request)}`, 1, {
-        ex: 3600 * 24 * 2,
+
+    const result = checkText(reply, rules);
+    if (result.blockedBy) {
+      await logIncident({
+        stage: "output",
+        rule: result.blockedBy,
+        excerpt: result.text,
+        subject: identity.key,
       });
-    } else {
-      await redis.incr(`AIDemoUsage:${getIP(request)}`);
+      return NextResponse.json(
+        { role: "assistant", content: REFUSAL, moderated: true },
+        { headers }
+      );
     }
+
     const res = NextResponse.json(
-      { role: "assistant", content: reply },
-      { status: 200 }
+      {
+        role: "assistant",
+        content: result.text,
+        ...(sources.length ? { sources } : {}),
+        ...(toolCards.length ? { tools: toolCards } : {}),
+      },
+      { status: 200, headers }
     );
 
     return res;
   } catch (error) {
-    console.error(error);
+    await limit.refund();
+    // Nobody is waiting for an answer to a cancelled request
+    if (upstreamAbort.signal.aborted) {
+      return new Response(null, { status: 499, headers });
+    }
 
-    return NextResponse.json(
-      {
-        role: "error",
-        content: "Some internal error occurred. Please try again later.",
-      },
-      { status: 500 }
+    console.error(error);
+    await logError("chat", error);
+    return errorResponse(
+      error instanceof ProviderError ? "upstream_error" : "internal_error",
+      { headers }
     );
   }
 }
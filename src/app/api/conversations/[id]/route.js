@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { getClientIdentity } from "@/lib/clientIdentity";
+import {
+  conversationOwner,
+  deleteConversation,
+  getConversation,
+  updateConversation,
+} from "@/lib/conversations";
+
+// Visitors without a signed session have no saved conversations
+function notFound() {
+  return NextResponse.json(
+    { role: "error", content: "Conversation not found" },
+    { status: 404 }
+  );
+}
+
+export async function GET(request, { params }) {
+  const owner = conversationOwner(await getClientIdentity(request));
+  const { id } = await params;
+  if (!owner) return notFound();
+
+  const conversation = await getConversation(owner, id);
+  return conversation ? NextResponse.json(conversation) : notFound();
+}
+
+// Rename and/or replace the messages: { title?, messages? }
+export async function PATCH(request, { params }) {
+  const owner = conversationOwner(await getClientIdentity(request));
+  const { id } = await params;
+  if (!owner) return notFound();
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+
+  const conversation = await updateConversation(owner, id, {
+    title: payload.title,
+    messages: payload.messages,
+  });
+  return conversation ? NextResponse.json(conversation) : notFound();
+}
+
+export async function DELETE(request, { params }) {
+  const owner = conversationOwner(await getClientIdentity(request));
+  const { id } = await params;
+  if (!owner) return notFound();
+
+  return (await deleteConversation(owner, id))
+    ? new Response(null, { status: 204 })
+    : notFound();
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server";
+import { getClientIdentity } from "@/lib/clientIdentity";
+import {
+  conversationOwner,
+  createConversation,
+  listConversations,
+} from "@/lib/conversations";
+import { consumeConversation, rateLimitHeaders } from "@/lib/rateLimit";
+
+// Saving is off for visitors without a signed session cookie
+function noSession() {
+  return NextResponse.json(
+    { role: "error", content: "Saved conversations need a session" },
+    { status: 404 }
+  );
+}
+
+// The caller's conversations, most recently updated first
+export async function GET(request) {
+  const owner = conversationOwner(await getClientIdentity(request));
+  if (!owner) return noSession();
+
+  return NextResponse.json({ conversations: await listConversations(owner) });
+}
+
+// Starts a conversation: { title?, messages? }
+export async function POST(request) {
+  const identity = await getClientIdentity(request);
+  const owner = conversationOwner(identity);
+  if (!owner) return noSession();
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+
+  const limit = await consumeConversation(identity);
+  if (!limit.allowed) {
+    return NextResponse.json(
+      {
+        role: "error",
+        content: `Too many new conversations. Try again in ${Math.ceil(
+          limit.retryAfter / 60
+        )} minute(s).`,
+      },
+      { status: 429, headers: rateLimitHeaders(limit) }
+    );
+  }
+
+  const conversation = await createConversation(owner, {
+    title: payload.title,
+    messages: payload.messages,
+  });
+  return NextResponse.json(conversation, { status: 201 });
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/adminAuth";
+import { getKeys } from "@/lib/AI/getRotatedKey";
+import { getPoolStatus } from "@/lib/AI/keyHealth";
+
+// Health of the rotated key pool, for the admin dashboard. Keys are
+// identified by fingerprint only.
+export async function GET(request) {
+  const denied = await requireAdmin(request);
+  if (denied) return denied;
+
+  return NextResponse.json(getPoolStatus(await getKeys()), {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
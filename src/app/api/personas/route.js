@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server";
+import { toPublicPersona } from "@/lib/personas";
+import { defaultPersonaId, loadPersonas } from "@/lib/personas/loadPersonas";
+import { getSettings } from "@/lib/settings";
+
+// Personas available to the switcher, without their system prompts.
+// `lockedId` is set while the presenter forces one persona from /admin.
+export async function GET() {
+  const personas = await loadPersonas();
+  const settings = await getSettings().catch(() => null);
+  return NextResponse.json(
+    {
+      personas: personas.map(toPublicPersona),
+      defaultId: defaultPersonaId(),
+      lockedId: settings?.personaId || null,
+    },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
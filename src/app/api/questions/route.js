@@ -0,0 +1,104 @@
+import { NextResponse } from "next/server";
+import { getClientIdentity } from "@/lib/clientIdentity";
+import { logIncident, moderate } from "@/lib/moderation";
+import {
+  QuestionError,
+  listOwnQuestions,
+  parseQuestion,
+  submitQuestion,
+} from "@/lib/questionQueue";
+import { consumeQuestion, rateLimitHeaders } from "@/lib/rateLimit";
+
+// The caller's submitted questions and whether the presenter took them
+export async function GET(request) {
+  const { key } = await getClientIdentity(request);
+  return NextResponse.json(
+    { questions: await listOwnQuestions(key) },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
+
+// Sends a question to the presenter's queue: { nickname?, text }
+export async function POST(request) {
+  const identity = await getClientIdentity(request);
+  const payload = await request.json().catch(() => null);
+  if (!payload || typeof payload !== "object") {
+    return NextResponse.json(
+      { role: "error", content: "Expected a JSON object" },
+      { status: 400 }
+    );
+  }
+
+  // Malformed or empty submissions are turned away before they cost
+  // anything
+  let submission;
+  try {
+    submission = parseQuestion(payload);
+  } catch (error) {
+    if (error instanceof QuestionError) {
+      return NextResponse.json(
+        { role: "error", content: error.message },
+        { status: error.status }
+      );
+    }
+    throw error;
+  }
+
+  const limit = await consumeQuestion(identity);
+  if (!limit.allowed) {
+    return NextResponse.json(
+      {
+        role: "error",
+        content: `You've sent a lot of questions! Try again in ${Math.ceil(
+          limit.retryAfter / 60
+        )} minute(s).`,
+      },
+      { status: 429, headers: rateLimitHeaders(limit) }
+    );
+  }
+
+  // Screened here too so nothing unsafe reaches the presenter's screen.
+  // Blocked submissions keep their rate-limit charge, so they can't flood
+  // the incident log for free.
+  const text = await moderate(submission.text);
+  const nickname = await moderate(submission.nickname);
+  const blockedBy = text.blockedBy || nickname.blockedBy;
+  if (blockedBy) {
+    await logIncident({
+      stage: "question",
+      rule: blockedBy,
+      excerpt: `${nickname.text}: ${text.text}`,
+      subject: identity.key,
+    });
+    return NextResponse.json(
+      {
+        role: "error",
+        content: "Let's keep it school-safe! Please try a different question.",
+      },
+      { status: 422 }
+    );
+  }
+
+  try {
+    const question = await submitQuestion(identity.key, {
+      nickname: nickname.text,
+      text: text.text,
+    });
+    return NextResponse.json(
+      { id: question.id, status: question.status },
+      { status: 201 }
+    );
+  } catch (error) {
+    // Only a server-side failure (e.g. a full queue) gives the attempt back
+    if (!(error instanceof QuestionError) || error.status >= 500) {
+      await limit.refund();
+    }
+    if (error instanceof QuestionError) {
+      return NextResponse.json(
+        { role: "error", content: error.message },
+        { status: error.status }
+      );
+    }
+    throw error;
+  }
+}
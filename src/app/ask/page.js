@@ -0,0 +1,145 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import { FiCheck, FiClock, FiSend, FiX } from "react-icons/fi";
+
+// Audience page opened from the projector's QR code. Questions go to the
+// presenter's queue instead of straight to the AI.
+const STATUS_LABELS = {
+  pending: { icon: FiClock, text: "Waiting for the presenter" },
+  approved: { icon: FiCheck, text: "Coming up on the big screen!" },
+  answered: { icon: FiCheck, text: "Answered on the big screen" },
+  rejected: { icon: FiX, text: "Not picked this time" },
+};
+
+export default function AskPage() {
+  const [nickname, setNickname] = useState("");
+  const [text, setText] = useState("");
+  const [questions, setQuestions] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [assistantName, setAssistantName] = useState("Nova");
+
+  const refreshQuestions = () =>
+    fetch("/api/questions")
+      .then((response) => response.json())
+      .then((data) => setQuestions(data.questions))
+      .catch(() => {});
+
+  useEffect(() => {
+    setNickname(localStorage.getItem("nova:nickname") || "");
+    fetch("/api/personas")
+      .then((response) => response.json())
+      .then((data) => {
+        const id = data.lockedId || data.defaultId;
+        const persona = data.personas.find((candidate) => candidate.id === id);
+        if (persona) setAssistantName(persona.name);
+      })
+      .catch(() => {});
+
+    refreshQuestions();
+    const interval = setInterval(refreshQuestions, 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSending(true);
+    localStorage.setItem("nova:nickname", nickname.trim());
+    try {
+      const response = await fetch("/api/questions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ nickname, text }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setText("");
+        setNotice({ ok: true, content: "Sent! Watch the big screen 👀" });
+        refreshQuestions();
+      } else {
+        setNotice({ ok: false, content: data.content });
+      }
+    } catch {
+      setNotice({ ok: false, content: "Could not send - please try again." });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-900 via-indigo-900 to-purple-900 p-4">
+      <div className="max-w-lg mx-auto space-y-6 pt-6">
+        <header>
+          <h1 className="text-3xl font-bold text-white">Ask {assistantName}</h1>
+          <p className="text-blue-200">
+            Your question appears on the big screen once the presenter picks it.
+          </p>
+        </header>
+
+        <form
+          onSubmit={submit}
+          className="bg-black/20 backdrop-blur-sm border border-white/10 rounded-2xl p-5 space-y-4"
+        >
+          <input
+            value={nickname}
+            onChange={(e) => setNickname(e.target.value)}
+            maxLength={30}
+            placeholder="Your nickname (optional)"
+            aria-label="Nickname"
+            className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-3 text-white placeholder-gray-300"
+          />
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={300}
+            rows="4"
+            placeholder="Type your question..."
+            aria-label="Question"
+            className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-3 text-white text-lg placeholder-gray-300 resize-none"
+          />
+          {notice && (
+            <p
+              className={`text-sm ${
+                notice.ok ? "text-green-300" : "text-red-300"
+              }`}
+            >
+              {notice.content}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={!text.trim() || sending}
+            className="w-full flex items-center justify-center space-x-2 bg-gradient-to-r from-blue-500 to-purple-600 disabled:from-gray-600 disabled:to-gray-700 text-white py-3 rounded-lg font-semibold"
+          >
+            <FiSend />
+            <span>{sending ? "Sending..." : "Send question"}</span>
+          </button>
+        </form>
+
+        {questions.length > 0 && (
+          <section className="space-y-2">
+            <h2 className="text-lg font-semibold text-white">Your questions</h2>
+            {questions.map((question) => {
+              const { icon: Icon, text: label } =
+                STATUS_LABELS[question.status];
+              return (
+                <div
+                  key={question.id}
+                  className="bg-white/5 border border-white/10 rounded-lg px-4 py-3"
+                >
+                  <p className="text-white">{question.text}</p>
+                  <p className="flex items-center space-x-1 text-sm text-blue-200 mt-1">
+                    <Icon />
+                    <span>{label}</span>
+                  </p>
+                </div>
+              );
+            })}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,18 @@
 "use client";
+import ConversationSidebar from "@/components/ConversationSidebar";
+import DemoPackMenu from "@/components/DemoPackMenu";
+import ErrorBubble from "@/components/ErrorBubble";
+import MessageActions from "@/components/MessageActions";
+import MessageContent from "@/components/MessageContent";
+import MessageEditor from "@/components/MessageEditor";
+import PresentationMenu from "@/components/PresentationMenu";
 import RcMascot from "@/components/Greeting";
+import QuestionQueuePanel from "@/components/QuestionQueuePanel";
+import SoundMenu from "@/components/SoundMenu";
+import SourceList from "@/components/SourceList";
+import ToolCards from "@/components/ToolCards";
+import TranscriptMenu from "@/components/TranscriptMenu";
+import VoiceControls from "@/components/VoiceControls";
 import React, { useState, useEffect, useRef } from "react";
 import {
   FiSend,
@@ -7,36 +20,110 @@ import {
   FiCpu,
   FiToggleLeft,
   FiToggleRight,
+  FiMenu,
+  FiInbox,
+  FiSquare,
 } from "react-icons/fi";
-import ReactMarkdown from "react-markdown";
-import remarkGfm from "remark-gfm";
+import { MAX_MESSAGES, MAX_QUESTION_LENGTH } from "@/lib/AI/chatRequest";
+import { readSSE } from "@/lib/AI/sse";
+import { addBranch, switchBranch, withoutBranches } from "@/lib/branches";
+import {
+  MAX_AUTO_RETRIES,
+  canRetry,
+  chatError,
+  isTransient,
+  retryDelay,
+  toChatError,
+} from "@/lib/chatErrors";
+import {
+  clearDemoPack,
+  loadDemoPack,
+  matchDemoAnswer,
+  mergeDemoEntries,
+  parseDemoPack,
+  saveDemoPack,
+} from "@/lib/demoPack";
+import {
+  DEFAULT_PERSONA_ID,
+  builtInPersonas,
+  toPublicPersona,
+} from "@/lib/personas";
+import {
+  applyPresentationSettings,
+  clampFontScale,
+  defaultPresentationSettings,
+  loadPresentationSettings,
+  nextTheme,
+  savePresentationSettings,
+  toggleFullscreen,
+} from "@/lib/presentation";
+import { installAudioUnlock, playSound } from "@/lib/sound";
+import { citedSources } from "@/lib/knowledge/citations";
+import { createTranscript, parseTranscript } from "@/lib/transcript";
+import {
+  defaultVoiceSettings,
+  speak,
+  stopSpeaking,
+  stripMarkdown,
+} from "@/lib/speech";
+
+// Demo mode types long answers out in at most this many steps
+const MAX_TYPING_STEPS = 120;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The first sentence of a reply, as plain text for the mascot's bubble
+const firstSentence = (content) => {
+  const text = stripMarkdown(content);
+  return text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+};
 
 export default function ChatbotDemo() {
   const [messages, setMessages] = useState([]);
   const messagesRef = useRef([]);
   const [input, setInput] = useState("");
   const [isTyping, setIsTyping] = useState(false);
+  const [isReplying, setIsReplying] = useState(false);
+  const abortControllerRef = useRef(null);
+  const [editingId, setEditingId] = useState(null);
+  const [retryAttempt, setRetryAttempt] = useState(0);
   const [demoMode, setDemoMode] = useState(false);
+  const [quota, setQuota] = useState(null);
+  const [classroomCode, setClassroomCode] = useState("");
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const conversationIdRef = useRef(null);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [personas, setPersonas] = useState(() =>
+    builtInPersonas.map(toPublicPersona)
+  );
+  const [personaId, setPersonaId] = useState(DEFAULT_PERSONA_ID);
+  const [lockedPersonaId, setLockedPersonaId] = useState(null);
+  const [queueOpen, setQueueOpen] = useState(false);
+  const [isPresenter, setIsPresenter] = useState(false);
+  const [questions, setQuestions] = useState([]);
+  const askedQuestionsRef = useRef(new Set());
+  const [demoPack, setDemoPack] = useState(null);
+  const demoPackRef = useRef({ entries: [] });
+  const [recording, setRecording] = useState(false);
+  const recordingRef = useRef(false);
+  const [voiceSettings, setVoiceSettings] = useState(defaultVoiceSettings);
+  const voiceSettingsRef = useRef(defaultVoiceSettings);
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const mascotRef = useRef(null);
+  const [presentation, setPresentation] = useState(defaultPresentationSettings);
+  const exampleIndexRef = useRef(-1);
+  const inputRef = useRef(null);
   const messagesEndRef = useRef(null);
 
-  // Demo responses for offline mode
-  const demoResponses = [
-    "Hello! I'm Nova, your pit-crew AI 🏎️. Ask me anything about remote-controlled cars and I’ll race to answer!",
-    "Vroom vroom! 🚗 That’s a great question — let me steer you through the answer.",
-    "Alright, let’s pop the hood and break this down into simple steps.",
-    "Nice! I’ve got a cool fact about RC cars that will turbocharge your knowledge.",
-    "Fantastic question! This reminds me of how speed, control, and design all work together in an RC car.",
-    "Sure thing! Let’s make this as easy as tuning up your RC car before a race 🛠️.",
-    "Ooh, that’s a tricky corner — but I know how to handle the curves! Here’s my explanation...",
-  ];
-
-  // Example prompts for teachers to demonstrate
-  const examplePrompts = [
-    "List 3 secret tricks to make an RC car faster.",
-    "Explain how a remote-controlled car receives signals from the controller",
-    "Explain how RC cars turn without a steering wheel.",
-    "Describe the parts inside a remote-controlled car and what they do",
-  ];
+  // Greeting, example prompts, demo replies and colors all come from the
+  // active persona
+  const persona =
+    personas.find(
+      (candidate) => candidate.id === (lockedPersonaId || personaId)
+    ) || personas[0];
+  const personaRef = useRef(persona);
+  personaRef.current = persona;
 
   // Auto-scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -47,90 +134,730 @@ export default function ChatbotDemo() {
     scrollToBottom();
   }, [messages]);
 
-  // Initialize with bot greeting
+  // The mascot spins its wheels while Nova thinks
+  useEffect(() => {
+    if (isTyping) mascotRef.current?.think();
+  }, [isTyping]);
+
+  // The mascot and sound effects react to each answer
+  const reactToReply = (content) => {
+    mascotRef.current?.say(firstSentence(content));
+    mascotRef.current?.celebrate();
+    playSound("reply");
+  };
+
+  const reactToError = (content) => {
+    mascotRef.current?.error(content && firstSentence(content));
+    playSound("error");
+  };
+
+  useEffect(() => installAudioUnlock(), []);
+
+  // Quota headers come back on every /api/chat response
+  const updateQuota = (response) => {
+    const limit = response.headers.get("X-RateLimit-Limit");
+    const remaining = response.headers.get("X-RateLimit-Remaining");
+    if (limit !== null && remaining !== null) {
+      setQuota((prev) => ({
+        ...prev,
+        limit: Number(limit),
+        remaining: Number(remaining),
+      }));
+    }
+  };
+
+  // A classroom code draws from the group's pooled quota
+  const apiHeaders = () =>
+    classroomCode ? { "X-Classroom-Code": classroomCode } : {};
+
+  useEffect(() => {
+    setClassroomCode(localStorage.getItem("nova:classroomCode") || "");
+  }, []);
+
+  const saveClassroomCode = (code) => {
+    const normalized = code.trim().toUpperCase();
+    setClassroomCode(normalized);
+    localStorage.setItem("nova:classroomCode", normalized);
+  };
+
+  // Show how many questions are left before the first one is asked
+  useEffect(() => {
+    fetch("/api/chat", { headers: apiHeaders() })
+      .then(async (response) => {
+        updateQuota(response);
+        const data = await response.json();
+        setQuota((prev) => prev && { ...prev, classroom: data.classroom });
+      })
+      .catch(() => {});
+  }, [classroomCode]);
+
+  const createGreeting = () => ({
+    id: 1,
+    content: personaRef.current.greeting,
+    role: "assistant",
+    timestamp: new Date().toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    }),
+  });
+
+  const showMessages = (nextMessages) => {
+    setMessages(nextMessages);
+    messagesRef.current = nextMessages;
+  };
+
+  const selectConversation = (id) => {
+    setConversationId(id);
+    conversationIdRef.current = id;
+    if (id) {
+      localStorage.setItem("nova:lastConversation", id);
+    } else {
+      localStorage.removeItem("nova:lastConversation");
+    }
+  };
+
+  const refreshConversations = async () => {
+    try {
+      const response = await fetch("/api/conversations");
+      if (response.ok) {
+        setConversations((await response.json()).conversations);
+      }
+    } catch (error) {
+      console.error("Error loading conversations:", error);
+    }
+  };
+
+  const loadConversation = async (id) => {
+    const response = await fetch(`/api/conversations/${id}`);
+    if (!response.ok) return false;
+
+    const conversation = await response.json();
+    selectConversation(conversation.id);
+    showMessages(conversation.messages);
+    return true;
+  };
+
+  // Saves the current messages, creating the conversation on first save
+  const persistConversation = async (title) => {
+    try {
+      const id = conversationIdRef.current;
+      const response = await fetch(
+        id ? `/api/conversations/${id}` : "/api/conversations",
+        {
+          method: id ? "PATCH" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            messages: messagesRef.current,
+            ...(title ? { title } : {}),
+          }),
+        }
+      );
+      if (response.ok && !id) {
+        selectConversation((await response.json()).id);
+      }
+      refreshConversations();
+    } catch (error) {
+      console.error("Error saving conversation:", error);
+    }
+  };
+
+  const startNewConversation = () => {
+    selectConversation(null);
+    showMessages([createGreeting()]);
+    setSidebarOpen(false);
+  };
+
+  const switchConversation = async (id) => {
+    setSidebarOpen(false);
+    if (!(await loadConversation(id))) refreshConversations();
+  };
+
+  const renameConversation = async (id, title) => {
+    await fetch(`/api/conversations/${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title }),
+    });
+    refreshConversations();
+  };
+
+  const removeConversation = async (id) => {
+    await fetch(`/api/conversations/${id}`, { method: "DELETE" });
+    if (id === conversationIdRef.current) startNewConversation();
+    refreshConversations();
+  };
+
+  const switchPersona = (id) => {
+    setPersonaId(id);
+    localStorage.setItem("nova:persona", id);
+    personaRef.current =
+      personas.find((candidate) => candidate.id === id) || personas[0];
+    startNewConversation();
+  };
+
+  // Load custom personas and restore the last one used. Polled so a
+  // persona forced from /admin reaches the projector without a reload.
+  useEffect(() => {
+    const savedId = localStorage.getItem("nova:persona");
+    if (savedId) setPersonaId(savedId);
+
+    const loadPersonas = () =>
+      fetch("/api/personas")
+        .then((response) => response.json())
+        .then((data) => {
+          setPersonas(data.personas);
+          setLockedPersonaId(data.lockedId);
+          if (!localStorage.getItem("nova:persona")) {
+            setPersonaId(data.defaultId);
+          }
+        })
+        .catch(() => {});
+
+    loadPersonas();
+    const interval = setInterval(loadPersonas, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Resume the last conversation after a reload
+  useEffect(() => {
+    refreshConversations();
+    const lastId = localStorage.getItem("nova:lastConversation");
+    if (lastId) {
+      loadConversation(lastId).catch(() => {});
+    }
+  }, []);
+
+  // Initialize with bot greeting (unless a conversation was resumed)
   useEffect(() => {
-    const greeting = {
-      id: 1,
-      content:
-        "🏎️ I'm Nova, your pit-crew AI assistant. I'm here to share tips, facts, and fun ideas about remote-controlled cars. What RC adventure should we start with today?",
-      role: "assistant",
-      timestamp: new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-    };
     setTimeout(() => {
-      setMessages([greeting]);
-      messagesRef.current = [greeting];
+      if (messagesRef.current.length === 0) {
+        showMessages([createGreeting()]);
+      }
     }, 8000);
   }, []);
 
-  // Handle sending messages
-  const handleSend = async () => {
-    if (!input.trim()) return;
+  // Demo packs are kept per persona in this browser
+  const showDemoPack = (pack) => {
+    setDemoPack(pack);
+    demoPackRef.current = pack;
+  };
+
+  useEffect(() => {
+    showDemoPack(loadDemoPack(persona.id));
+  }, [persona.id]);
+
+  const toggleRecording = () => {
+    recordingRef.current = !recordingRef.current;
+    setRecording(recordingRef.current);
+  };
+
+  const recordDemoAnswer = (prompt, answer) => {
+    const pack = mergeDemoEntries(demoPackRef.current, [{ prompt, answer }]);
+    saveDemoPack(pack);
+    showDemoPack(pack);
+  };
+
+  const exportDemoPack = () => {
+    const blob = new Blob([JSON.stringify(demoPackRef.current, null, 2)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `nova-demo-pack-${demoPackRef.current.personaId}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  // Imported answers are added to the current persona's pack
+  const importDemoPack = async (file) => {
+    try {
+      const imported = parseDemoPack(await file.text(), persona.id);
+      const pack = mergeDemoEntries(demoPackRef.current, imported.entries);
+      saveDemoPack(pack);
+      showDemoPack(pack);
+    } catch (error) {
+      alert(`Could not import demo pack: ${error.message}`);
+    }
+  };
+
+  const removeDemoPack = () => {
+    if (!confirm("Delete all saved demo answers for this persona?")) return;
+    clearDemoPack(persona.id);
+    showDemoPack(loadDemoPack(persona.id));
+  };
+
+  // Voice settings are kept in this browser
+  const showVoiceSettings = (settings) => {
+    setVoiceSettings(settings);
+    voiceSettingsRef.current = settings;
+  };
+
+  useEffect(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem("nova:voice"));
+      if (stored) showVoiceSettings({ ...defaultVoiceSettings, ...stored });
+    } catch {
+      // Corrupt settings fall back to the defaults
+    }
+  }, []);
+
+  const updateVoiceSettings = (settings) => {
+    showVoiceSettings(settings);
+    localStorage.setItem("nova:voice", JSON.stringify(settings));
+    if (!settings.speakReplies) stopSpeaking();
+  };
+
+  const speakReply = (content) => {
+    const { speakReplies, voiceURI, rate } = voiceSettingsRef.current;
+    if (!speakReplies) return;
+    speak(content, {
+      voiceURI,
+      rate,
+      onStart: () => setIsSpeaking(true),
+      onEnd: () => setIsSpeaking(false),
+    });
+  };
+
+  // Speech fills the textarea as it's recognized; auto-send sends it as
+  // soon as the speaker stops
+  const handleTranscript = (transcript, isFinal) => {
+    if (isFinal && voiceSettingsRef.current.autoSend) {
+      setInput("");
+      sendMessage(transcript);
+    } else {
+      setInput(transcript);
+    }
+  };
+
+  // Transcripts of the conversation on screen, for handing out
+  const getTranscript = () =>
+    createTranscript(messagesRef.current, {
+      title: conversations.find(
+        (conversation) => conversation.id === conversationIdRef.current
+      )?.title,
+      persona: personaRef.current,
+    });
+
+  // An imported transcript is restored as a new saved conversation
+  const importTranscript = async (file) => {
+    try {
+      const transcript = parseTranscript(await file.text());
+      selectConversation(null);
+      showMessages(
+        transcript.messages.map((message, index) => ({
+          id: Date.now() + index,
+          ...message,
+        }))
+      );
+      await persistConversation(transcript.title);
+    } catch (error) {
+      alert(`Could not import transcript: ${error.message}`);
+    }
+  };
+
+  // Presentation settings apply to the whole document while the chat is open
+  useEffect(() => {
+    setPresentation(loadPresentationSettings());
+  }, []);
+
+  useEffect(() => {
+    applyPresentationSettings(presentation);
+    return () => applyPresentationSettings(defaultPresentationSettings);
+  }, [presentation]);
+
+  const updatePresentation = (changes) => {
+    setPresentation((prev) => {
+      const next = { ...prev, ...changes };
+      next.fontScale = clampFontScale(next.fontScale);
+      savePresentationSettings(next);
+      return next;
+    });
+  };
+
+  // Keyboard shortcuts (listed in the presentation menu). Alt+Shift
+  // combinations work while typing; "/" only outside text fields.
+  const handleHotkey = (e) => {
+    const editing = e.target.closest?.("input, textarea, select");
+    if (e.key === "/" && !editing && !e.altKey && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      inputRef.current?.focus();
+      return;
+    }
+    if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return;
+
+    const actions = {
+      KeyK: startNewConversation,
+      KeyD: () => setDemoMode((prev) => !prev),
+      KeyI: () => inputRef.current?.focus(),
+      KeyN: () => {
+        const prompts = personaRef.current.examplePrompts;
+        if (!prompts.length) return;
+        exampleIndexRef.current =
+          (exampleIndexRef.current + 1) % prompts.length;
+        fillExample(prompts[exampleIndexRef.current]);
+        inputRef.current?.focus();
+      },
+      KeyR: () => mascotRef.current?.replay(),
+      KeyF: toggleFullscreen,
+      Equal: () =>
+        updatePresentation({ fontScale: presentation.fontScale + 0.1 }),
+      Minus: () =>
+        updatePresentation({ fontScale: presentation.fontScale - 0.1 }),
+      KeyT: () => updatePresentation({ theme: nextTheme(presentation.theme) }),
+    };
+    const action = actions[e.code];
+    if (action) {
+      e.preventDefault();
+      action();
+    }
+  };
+  const handleHotkeyRef = useRef(handleHotkey);
+  handleHotkeyRef.current = handleHotkey;
+
+  useEffect(() => {
+    const listener = (e) => handleHotkeyRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  // Audience questions need the presenter's admin sign-in to moderate
+  const refreshQuestions = async () => {
+    const response = await fetch("/api/admin/questions");
+    if (response.ok) {
+      setQuestions((await response.json()).questions);
+    } else if (response.status === 401) {
+      setIsPresenter(false);
+    }
+  };
+
+  const moderateQuestion = async (id, changes) => {
+    await fetch(`/api/admin/questions/${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    });
+    refreshQuestions().catch(() => {});
+  };
+
+  useEffect(() => {
+    fetch("/api/admin/login")
+      .then((response) => response.json())
+      .then((data) => setIsPresenter(data.authenticated))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!isPresenter) return;
+    const poll = () => refreshQuestions().catch(() => {});
+    poll();
+    const interval = setInterval(poll, 5000);
+    return () => clearInterval(interval);
+  }, [isPresenter]);
+
+  // Ask approved audience questions one at a time, whenever Nova is free.
+  // Asked ids are remembered so a poll racing the update can't repeat one.
+  useEffect(() => {
+    if (isReplying) return;
+    const next = questions.find(
+      (question) =>
+        question.status === "approved" &&
+        !askedQuestionsRef.current.has(question.id)
+    );
+    if (!next) return;
+
+    askedQuestionsRef.current.add(next.id);
+    setQuestions((prev) =>
+      prev.map((question) =>
+        question.id === next.id ? { ...question, status: "answered" } : question
+      )
+    );
+    moderateQuestion(next.id, { status: "answered" }).catch(() => {});
+    sendMessage(next.text, next.nickname);
+  }, [questions, isReplying]);
+
+  // Handle sending typed messages
+  const handleSend = () => {
+    if (!input.trim() || isReplying) return;
+    sendMessage(input);
+    setInput("");
+  };
+
+  const createUserMessage = (content, author) => ({
+    id: Date.now(),
+    content,
+    ...(author ? { author } : {}),
+    role: "user",
+    timestamp: new Date().toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    }),
+  });
+
+  // Sends a message through demo mode or /api/chat. `author` is the
+  // nickname of an audience member whose question this is.
+  const sendMessage = (content, author) => {
+    stopSpeaking();
+    playSound("sent");
+    showMessages([...messagesRef.current, createUserMessage(content, author)]);
+    requestReply(content);
+  };
+
+  // Edited questions and regenerated answers fork the chat at the user
+  // message, so the version they replace stays browsable
+  const resendFrom = (index, content, author) => {
+    if (abortControllerRef.current) return;
+    stopSpeaking();
+    playSound("sent");
+    setEditingId(null);
+    showMessages(
+      addBranch(messagesRef.current, index, [
+        createUserMessage(content, author),
+      ])
+    );
+    requestReply(content);
+  };
+
+  const editMessage = (index, content) => resendFrom(index, content);
 
-    const userMessage = {
-      id: Date.now(),
-      content: input,
-      role: "user",
+  const regenerateReply = (index) => {
+    const question = messagesRef.current[index];
+    resendFrom(index, question.content, question.author);
+  };
+
+  const showBranch = (index, active) => {
+    showMessages(switchBranch(messagesRef.current, index, active));
+    persistConversation();
+  };
+
+  // Cancels the reply in progress; what arrived so far is kept
+  const stopReply = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Asks again for the answer that failed, in place of the error
+  const retryReply = (useDemo = demoMode) => {
+    if (abortControllerRef.current) return;
+    const index = messagesRef.current.findLastIndex(
+      (message) => message.role === "user"
+    );
+    if (index === -1) return;
+    showMessages(messagesRef.current.slice(0, index + 1));
+    requestReply(messagesRef.current[index].content, useDemo);
+  };
+
+  // Offered when the server can't be reached
+  const switchToDemoMode = () => {
+    setDemoMode(true);
+    retryReply(true);
+  };
+
+  // Answers the last message on screen. `question` is its text.
+  const requestReply = async (question, useDemo = demoMode) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsReplying(true);
+    setIsTyping(true);
+
+    const botMessage = {
+      id: Date.now() + 1,
+      content: "",
+      role: "assistant",
       timestamp: new Date().toLocaleTimeString([], {
         hour: "2-digit",
         minute: "2-digit",
       }),
     };
 
-    setMessages((prev) => [...prev, userMessage]);
-    messagesRef.current = [...messagesRef.current, userMessage];
-    setInput("");
-    setIsTyping(true);
+    // The typing indicator turns into the growing message on the first delta
+    const showContent = (content) => {
+      if (!botMessage.content) {
+        setIsTyping(false);
+        setMessages((prev) => [...prev, { ...botMessage, content }]);
+      } else {
+        setMessages((prev) =>
+          prev.map((message) =>
+            message.id === botMessage.id ? { ...message, content } : message
+          )
+        );
+      }
+      botMessage.content = content;
+    };
+
+    // Cards for the tools the model called, shown with the reply
+    const showTool = (tool) => {
+      botMessage.tools = [...(botMessage.tools || []), tool];
+      setMessages((prev) =>
+        prev.map((message) =>
+          message.id === botMessage.id
+            ? { ...message, tools: botMessage.tools }
+            : message
+        )
+      );
+    };
+
+    // A stopped or failed reply is saved as far as it got
+    const keepPartialReply = () => {
+      setIsTyping(false);
+      if (!botMessage.content) return;
+      messagesRef.current = [...messagesRef.current, botMessage];
+      persistConversation();
+    };
+
+    if (useDemo) {
+      // Demo mode - answer from the demo pack, falling back to a canned line
+      const { demoResponses, demoAnswers = [] } = personaRef.current;
+      const match = matchDemoAnswer(question, [
+        ...demoPackRef.current.entries,
+        ...demoAnswers,
+      ]);
+      const answer = match
+        ? match.entry.answer
+        : demoResponses[Math.floor(Math.random() * demoResponses.length)];
+
+      // "Think" for a moment, then type the answer out like a live reply
+      await sleep(800 + Math.random() * 700);
+      const words = answer.split(/(?<=\s)/);
+      const step = Math.ceil(words.length / MAX_TYPING_STEPS);
+      for (let count = step; count < words.length; count += step) {
+        if (controller.signal.aborted) break;
+        showContent(words.slice(0, count).join(""));
+        await sleep(30 + Math.random() * 40);
+      }
+
+      if (controller.signal.aborted) {
+        keepPartialReply();
+      } else {
+        showContent(answer);
+        speakReply(answer);
+        reactToReply(answer);
 
-    // Simulate AI response
-    if (demoMode) {
-      // Demo mode - use canned responses
-      setTimeout(() => {
-        const randomResponse =
-          demoResponses[Math.floor(Math.random() * demoResponses.length)];
-        const botMessage = {
-          id: Date.now() + 1,
-          content: randomResponse,
-          role: "assistant",
-          timestamp: new Date().toLocaleTimeString([], {
-            hour: "2-digit",
-            minute: "2-digit",
-          }),
-        };
-        setMessages((prev) => [...prev, botMessage]);
         messagesRef.current = [...messagesRef.current, botMessage];
-        setIsTyping(false);
-      }, 1500 + Math.random() * 1000); // Random delay 1.5-2.5s
+        persistConversation();
+      }
     } else {
-      // API mode - call mock backend
+      // API mode - stream the reply from the backend. Resolves to a chat
+      // error, or null once the reply is on screen.
+      let moderated = false;
+      const callApi = async () => {
+        delete botMessage.tools;
+        delete botMessage.sources;
+        let response;
+        try {
+          response = await fetch("/api/chat", {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...apiHeaders() },
+            body: JSON.stringify({
+              messages: withoutBranches(
+                messagesRef.current.filter(
+                  (message) => message.role !== "error"
+                )
+              ).slice(-MAX_MESSAGES),
+              conversationId: conversationIdRef.current,
+              personaId: personaRef.current.id,
+              stream: true,
+            }),
+            signal: controller.signal,
+          });
+        } catch (error) {
+          if (controller.signal.aborted) throw error;
+          return chatError("network_error");
+        }
+        updateQuota(response);
+
+        // Errors (rate limit, bad request) and moderated replies arrive as
+        // a JSON blob
+        if (
+          !response.headers.get("Content-Type")?.includes("text/event-stream")
+        ) {
+          const data = await response.json().catch(() => null);
+          if (data?.role !== "assistant") {
+            return toChatError(data, response.status);
+          }
+          moderated = Boolean(data.moderated);
+          if (data.sources) botMessage.sources = data.sources;
+          if (data.tools) botMessage.tools = data.tools;
+          showContent(data.content);
+          return null;
+        }
+
+        try {
+          for await (const data of readSSE(response.body)) {
+            const event = JSON.parse(data);
+            if (event.type === "sources") {
+              // Knowledge-base passages the answer may cite
+              botMessage.sources = event.sources;
+            } else if (event.type === "tool") {
+              showTool(event.tool);
+            } else if (event.type === "delta") {
+              showContent(botMessage.content + event.content);
+            } else if (event.type === "replace") {
+              // Moderation redacted the reply so far, or blocked it
+              if (event.moderated) moderated = true;
+              showContent(event.content);
+            } else if (event.type === "error") {
+              return toChatError(event);
+            }
+          }
+        } catch (error) {
+          if (controller.signal.aborted) throw error;
+          return chatError("network_error");
+        }
+        return botMessage.content ? null : chatError("empty_reply");
+      };
+
+      // Transient failures are retried with backoff, as long as nothing has
+      // been shown yet
+      let error = null;
       try {
-        const response = await fetch("/api/chat", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ messages: messagesRef.current }),
-        });
-        const data = await response.json();
-        console.log(data);
-
-        const botMessage = {
-          id: Date.now() + 1,
-          content: data.content,
-          role: "assistant",
-          timestamp: new Date().toLocaleTimeString([], {
-            hour: "2-digit",
-            minute: "2-digit",
-          }),
-        };
-        setMessages((prev) => [...prev, botMessage]);
+        error = await callApi();
+        for (
+          let attempt = 0;
+          error &&
+          isTransient(error) &&
+          !botMessage.content &&
+          attempt < MAX_AUTO_RETRIES;
+          attempt++
+        ) {
+          setRetryAttempt(attempt + 1);
+          await sleep(retryDelay(attempt));
+          controller.signal.throwIfAborted();
+          error = await callApi();
+        }
+      } catch (thrown) {
+        if (!controller.signal.aborted) {
+          console.error("Error calling API:", thrown);
+          error = chatError("internal_error");
+        }
+      }
+      setRetryAttempt(0);
+
+      if (controller.signal.aborted) {
+        keepPartialReply();
+      } else if (error) {
+        // The error bubble follows whatever part of the reply arrived
+        keepPartialReply();
+        showMessages([
+          ...messagesRef.current,
+          { id: Date.now() + 2, ...error },
+        ]);
+        reactToError(error.content);
+      } else {
         messagesRef.current = [...messagesRef.current, botMessage];
-        setIsTyping(false);
-      } catch (error) {
-        console.error("Error calling API:", error);
-        setIsTyping(false);
+        persistConversation();
+        if (moderated) {
+          mascotRef.current?.say(botMessage.content);
+        } else {
+          if (recordingRef.current) {
+            recordDemoAnswer(question, botMessage.content);
+          }
+          speakReply(botMessage.content);
+          reactToReply(botMessage.content);
+        }
       }
     }
+
+    abortControllerRef.current = null;
+    setIsReplying(false);
   };
 
   // Handle keyboard events
@@ -148,7 +875,7 @@ export default function ChatbotDemo() {
 
   // Typing indicator component
   const TypingIndicator = () => (
-    <div className="flex items-center space-x-1 p-4 bg-indigo-800/50 rounded-2xl max-w-xs animate-fade-in">
+    <div className="bubble-assistant flex items-center space-x-1 p-4 bg-indigo-800/50 rounded-2xl max-w-xs animate-fade-in">
       <FiCpu className="text-indigo-300 text-xl" />
       <div className="flex space-x-1">
         <div
@@ -164,33 +891,141 @@ export default function ChatbotDemo() {
           style={{ animationDelay: "300ms" }}
         ></div>
       </div>
-      <span className="text-indigo-300 text-lg ml-2">Thinking...</span>
+      <span className="text-indigo-300 text-lg ml-2">
+        {retryAttempt
+          ? `Retrying (${retryAttempt}/${MAX_AUTO_RETRIES})...`
+          : "Thinking..."}
+      </span>
     </div>
   );
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-900 via-indigo-900 to-purple-900 flex flex-col">
+    <div
+      className="chat-page min-h-screen bg-gradient-to-br flex flex-col"
+      style={{
+        backgroundImage: `linear-gradient(to bottom right, ${persona.theme.from}, ${persona.theme.via}, ${persona.theme.to})`,
+      }}
+    >
       <RcMascot
+        ref={mascotRef}
         demoAnimation={true}
-        greetingText="Ready to race into learning!"
+        greetingText={persona.mascotText}
+        primaryColor={persona.theme.accent}
+        speaking={isSpeaking}
+        onSound={playSound}
+      />
+      <QuestionQueuePanel
+        open={queueOpen}
+        authenticated={isPresenter}
+        questions={questions}
+        onClose={() => setQueueOpen(false)}
+        onApprove={(id) => moderateQuestion(id, { status: "approved" })}
+        onReject={(id) => moderateQuestion(id, { status: "rejected" })}
+        onMove={(id, position) => moderateQuestion(id, { position })}
+      />
+      <ConversationSidebar
+        open={sidebarOpen}
+        conversations={conversations}
+        activeId={conversationId}
+        onClose={() => setSidebarOpen(false)}
+        onNew={startNewConversation}
+        onSelect={switchConversation}
+        onRename={renameConversation}
+        onDelete={removeConversation}
       />
       {/* Header */}
-      <header className="bg-black/20 backdrop-blur-sm border-b border-white/10 p-6">
+      <header className="chat-bar bg-black/20 backdrop-blur-sm border-b border-white/10 p-6">
         <div className="max-w-6xl mx-auto flex items-center justify-between">
           <div className="flex items-center space-x-4">
+            <button
+              onClick={() => setSidebarOpen(true)}
+              className="p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+              aria-label="Open conversations"
+            >
+              <FiMenu className="text-3xl" />
+            </button>
             <div className="w-16 h-16 bg-gradient-to-r from-blue-400 to-purple-400 rounded-full flex items-center justify-center">
               <FiCpu className="text-white text-2xl" />
             </div>
             <div>
-              <h1 className="text-3xl font-bold text-white">
-                Nova AI Assistant
-              </h1>
-              <p className="text-blue-200 text-lg">
-                Intelligent Conversation Partner
-              </p>
+              <h1 className="text-3xl font-bold text-white">{persona.title}</h1>
+              <p className="text-blue-200 text-lg">{persona.tagline}</p>
             </div>
           </div>
 
+          {/* Persona switcher */}
+          <select
+            value={persona.id}
+            onChange={(e) => switchPersona(e.target.value)}
+            disabled={Boolean(lockedPersonaId)}
+            title={lockedPersonaId ? "Persona set by the presenter" : undefined}
+            aria-label="Persona"
+            className="ml-auto mr-4 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-base"
+          >
+            {personas.map((candidate) => (
+              <option
+                key={candidate.id}
+                value={candidate.id}
+                className="text-gray-900"
+              >
+                {candidate.name} · {candidate.tagline}
+              </option>
+            ))}
+          </select>
+
+          {/* Classroom code for a pooled group quota */}
+          <input
+            defaultValue={classroomCode}
+            key={classroomCode}
+            onBlur={(e) => saveClassroomCode(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            placeholder="Class code"
+            aria-label="Classroom code"
+            className="mr-6 w-36 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-base uppercase placeholder-gray-300 placeholder:normal-case"
+          />
+
+          {/* Audience question queue */}
+          <button
+            onClick={() => setQueueOpen(true)}
+            className="relative mr-6 p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+            aria-label="Audience questions"
+          >
+            <FiInbox className="text-3xl" />
+            {questions.some((question) => question.status === "pending") && (
+              <span className="absolute -top-1 -right-1 min-w-6 h-6 px-1 bg-orange-500 rounded-full text-sm font-bold flex items-center justify-center">
+                {
+                  questions.filter((question) => question.status === "pending")
+                    .length
+                }
+              </span>
+            )}
+          </button>
+
+          {/* Projector settings and shortcuts */}
+          <PresentationMenu
+            settings={presentation}
+            onChange={updatePresentation}
+          />
+
+          {/* Export and import the conversation */}
+          <TranscriptMenu
+            getTranscript={getTranscript}
+            onImport={importTranscript}
+          />
+
+          {/* Sound effects */}
+          <SoundMenu />
+
+          {/* Recorded answers for demo mode */}
+          <DemoPackMenu
+            entryCount={demoPack ? demoPack.entries.length : 0}
+            recording={recording}
+            onToggleRecording={toggleRecording}
+            onExport={exportDemoPack}
+            onImport={importDemoPack}
+            onClear={removeDemoPack}
+          />
+
           {/* Demo Mode Toggle */}
           <div className="flex items-center space-x-3">
             <span className="text-white text-lg">Demo Mode</span>
@@ -209,11 +1044,11 @@ export default function ChatbotDemo() {
       </header>
 
       {/* Example Prompts */}
-      <div className="bg-black/10 backdrop-blur-sm border-b border-white/10 p-4">
+      <div className="chat-bar bg-black/10 backdrop-blur-sm border-b border-white/10 p-4">
         <div className="max-w-6xl mx-auto">
           <p className="text-white text-lg mb-3">Quick Start Examples:</p>
           <div className="flex flex-wrap gap-3">
-            {examplePrompts.map((prompt, index) => (
+            {persona.examplePrompts.map((prompt, index) => (
               <button
                 key={index}
                 onClick={() => fillExample(prompt)}
@@ -229,103 +1064,110 @@ export default function ChatbotDemo() {
       {/* Chat Messages */}
       <div className="flex-1 overflow-y-auto p-6">
         <div className="max-w-6xl mx-auto space-y-6">
-          {messages.map((message) => (
-            <div
-              key={message.id}
-              className={`flex items-start space-x-4 animate-fade-in ${
-                message.role === "user" ? "justify-end" : "justify-start"
-              }`}
-            >
-              {message.role === "assistant" && (
-                <div className="w-12 h-12 bg-gradient-to-r from-indigo-500 to-purple-500 rounded-full flex items-center justify-center flex-shrink-0">
-                  <FiCpu className="text-white text-xl" />
-                </div>
-              )}
-
+          {messages.map((message, index) =>
+            message.role === "error" ? (
+              <ErrorBubble
+                key={message.id}
+                error={message}
+                disabled={isReplying}
+                onRetry={
+                  index === messages.length - 1 && canRetry(message)
+                    ? () => retryReply()
+                    : undefined
+                }
+                onUseDemoMode={
+                  index === messages.length - 1 &&
+                  message.code === "network_error" &&
+                  !demoMode
+                    ? switchToDemoMode
+                    : undefined
+                }
+              />
+            ) : (
               <div
-                className={`max-w-3xl ${
-                  message.role === "user" ? "order-1" : ""
+                key={message.id}
+                className={`flex items-start space-x-4 animate-fade-in ${
+                  message.role === "user" ? "justify-end" : "justify-start"
                 }`}
               >
+                {message.role === "assistant" && (
+                  <div className="w-12 h-12 bg-gradient-to-r from-indigo-500 to-purple-500 rounded-full flex items-center justify-center flex-shrink-0">
+                    <FiCpu className="text-white text-xl" />
+                  </div>
+                )}
+
                 <div
-                  className={`p-5 rounded-2xl shadow-lg backdrop-blur-sm border text-lg leading-relaxed ${
-                    message.role === "user"
-                      ? "bg-blue-500/80 text-white border-blue-400/30 rounded-br-md"
-                      : "bg-indigo-800/60 text-white border-indigo-600/30 rounded-bl-md"
+                  className={`max-w-3xl ${
+                    message.role === "user" ? "order-1" : ""
                   }`}
                 >
-                  <ReactMarkdown
-                    remarkPlugins={[remarkGfm]}
-                    components={{
-                      code({ node, inline, className, children, ...props }) {
-                        return <span {...props}>{children}</span>;
-                      },
-                      pre({ node, children, ...props }) {
-                        return <div {...props}>{children}</div>;
-                      },
-                      table({ children }) {
-                        return (
-                          <div className="overflow-x-auto shadow-md rounded-lg mb-4">
-                            <table className="min-w-full divide-y divide-gray-700">
-                              {children}
-                            </table>
-                          </div>
-                        );
-                      },
-                      thead({ children }) {
-                        return (
-                          <thead className="bg-gray-800">{children}</thead>
-                        );
-                      },
-                      tbody({ children }) {
-                        return (
-                          <tbody className="divide-y divide-gray-700">
-                            {children}
-                          </tbody>
-                        );
-                      },
-                      tr({ children }) {
-                        return (
-                          <tr className="hover:bg-gray-800/50 transition-colors">
-                            {children}
-                          </tr>
-                        );
-                      },
-                      th({ children }) {
-                        return (
-                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
-                            {children}
-                          </th>
-                        );
-                      },
-                      td({ children }) {
-                        return (
-                          <td className="px-4 py-3 text-sm text-gray-300 whitespace-nowrap">
-                            {children}
-                          </td>
-                        );
-                      },
-                    }}
+                  <div
+                    className={`p-5 rounded-2xl shadow-lg backdrop-blur-sm border text-lg leading-relaxed ${
+                      message.role === "user"
+                        ? "bubble-user bg-blue-500/80 text-white border-blue-400/30 rounded-br-md"
+                        : "bubble-assistant bg-indigo-800/60 text-white border-indigo-600/30 rounded-bl-md"
+                    }`}
                   >
-                    {message.content}
-                  </ReactMarkdown>
+                    {editingId === message.id ? (
+                      <MessageEditor
+                        initialContent={message.content}
+                        maxLength={MAX_QUESTION_LENGTH}
+                        onSave={(content) => editMessage(index, content)}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    ) : (
+                      <>
+                        <ToolCards tools={message.tools || []} />
+                        <MessageContent content={message.content} />
+                        <SourceList
+                          sources={citedSources(
+                            message.content,
+                            message.sources
+                          )}
+                        />
+                      </>
+                    )}
+                  </div>
+                  <div
+                    className={`flex items-center gap-3 mt-2 ${
+                      message.role === "user" ? "flex-row-reverse" : ""
+                    }`}
+                  >
+                    <p className="text-sm text-blue-200">
+                      {message.author && (
+                        <span className="font-semibold text-white">
+                          Asked by {message.author} ·{" "}
+                        </span>
+                      )}
+                      {message.timestamp}
+                    </p>
+                    <MessageActions
+                      message={message}
+                      disabled={isReplying}
+                      onShowBranch={(active) => showBranch(index, active)}
+                      onEdit={
+                        message.role === "user"
+                          ? () => setEditingId(message.id)
+                          : undefined
+                      }
+                      onRegenerate={
+                        index === messages.length - 1 &&
+                        messages[index - 1]?.role === "user"
+                          ? () => regenerateReply(index - 1)
+                          : undefined
+                      }
+                    />
+                  </div>
                 </div>
-                <p
-                  className={`text-sm text-blue-200 mt-2 ${
-                    message.role === "user" ? "text-right" : "text-left"
-                  }`}
-                >
-                  {message.timestamp}
-                </p>
-              </div>
 
-              {message.role === "user" && (
-                <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-full flex items-center justify-center flex-shrink-0 order-2">
-                  <FiUser className="text-white text-xl" />
-                </div>
-              )}
-            </div>
-          ))}
+                {message.role === "user" && (
+                  <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-full flex items-center justify-center flex-shrink-0 order-2">
+                    <FiUser className="text-white text-xl" />
+                  </div>
+                )}
+              </div>
+            )
+          )}
 
           {/* Typing Indicator */}
           {isTyping && (
@@ -342,32 +1184,61 @@ export default function ChatbotDemo() {
       </div>
 
       {/* Input Area */}
-      <div className="bg-black/20 backdrop-blur-sm border-t border-white/10 p-6">
+      <div className="chat-bar bg-black/20 backdrop-blur-sm border-t border-white/10 p-6">
         <div className="max-w-6xl mx-auto">
           <div className="flex items-end space-x-4">
             <div className="flex-1">
               <textarea
+                ref={inputRef}
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
                 onKeyPress={handleKeyPress}
                 placeholder="Type your message here... (Press Enter to send, Shift+Enter for new line)"
                 className="w-full bg-white/10 backdrop-blur-sm border border-white/20 rounded-2xl px-6 py-4 text-white text-lg placeholder-gray-300 resize-none focus:outline-none focus:ring-2 focus:ring-blue-400/50 focus:border-transparent"
                 rows="3"
-                disabled={isTyping}
+                maxLength={MAX_QUESTION_LENGTH}
               />
             </div>
-            <button
-              onClick={handleSend}
-              disabled={!input.trim() || isTyping}
-              className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-700 text-white p-4 rounded-2xl transition-all duration-200 flex items-center justify-center shadow-lg disabled:cursor-not-allowed"
-            >
-              <FiSend className="text-2xl" />
-            </button>
+            <VoiceControls
+              settings={voiceSettings}
+              onChange={updateVoiceSettings}
+              onTranscript={handleTranscript}
+              disabled={isReplying}
+            />
+            {isReplying ? (
+              <button
+                onClick={stopReply}
+                className="bg-red-500 hover:bg-red-600 text-white p-4 rounded-2xl transition-all duration-200 flex items-center justify-center shadow-lg"
+                aria-label="Stop"
+                title="Stop"
+              >
+                <FiSquare className="text-2xl" />
+              </button>
+            ) : (
+              <button
+                onClick={handleSend}
+                disabled={!input.trim()}
+                className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:from-gray-600 disabled:to-gray-700 text-white p-4 rounded-2xl transition-all duration-200 flex items-center justify-center shadow-lg disabled:cursor-not-allowed"
+              >
+                <FiSend className="text-2xl" />
+              </button>
+            )}
           </div>
           <p className="text-blue-200 text-sm mt-2 text-center">
             {demoMode
-              ? "Demo Mode Active - Using saved Responses"
-              : "API Mode - Using Real Backend"}
+              ? `Demo Mode Active - Using saved Responses (${
+                  demoPack ? demoPack.entries.length : 0
+                } recorded)`
+              : `API Mode - Using Real Backend${
+                  recording ? " · Recording answers for demo mode" : ""
+                }`}
+            {!demoMode && quota && (
+              <span className="ml-2">
+                · {quota.remaining} of {quota.limit}{" "}
+                {quota.classroom ? `${quota.classroom} class ` : ""}
+                questions left
+              </span>
+            )}
           </p>
         </div>
       </div>
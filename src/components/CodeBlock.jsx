@@ -0,0 +1,44 @@
+"use client";
+import React, { useRef, useState } from "react";
+import { FiCheck, FiCopy } from "react-icons/fi";
+
+// A fenced code block with its language and a copy button. `children` is the
+// highlighted <code> element rendered by ReactMarkdown.
+const CodeBlock = ({ language, children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current.textContent);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying code:", error);
+    }
+  };
+
+  return (
+    <div className="code-block my-4 rounded-xl overflow-hidden border border-white/10 bg-slate-950/80">
+      <div className="code-block-header flex items-center justify-between px-4 py-2 bg-white/5 text-sm text-gray-300">
+        <span className="font-mono">{language || "code"}</span>
+        <button
+          onClick={copy}
+          className="flex items-center space-x-1 px-2 py-1 hover:bg-white/10 rounded-md text-gray-300"
+          aria-label="Copy code"
+        >
+          {copied ? <FiCheck className="text-green-400" /> : <FiCopy />}
+          <span>{copied ? "Copied" : "Copy"}</span>
+        </button>
+      </div>
+      <pre
+        ref={preRef}
+        className="overflow-x-auto p-4 text-base leading-relaxed text-gray-100"
+      >
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+export default CodeBlock;
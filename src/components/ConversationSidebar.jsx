@@ -0,0 +1,123 @@
+"use client";
+import React, { useState } from "react";
+import {
+  FiEdit2,
+  FiMessageSquare,
+  FiPlus,
+  FiTrash2,
+  FiX,
+} from "react-icons/fi";
+
+// Slide-over list of saved conversations. Stays out of the way of the
+// projector view until opened from the header.
+const ConversationSidebar = ({
+  open,
+  conversations,
+  activeId,
+  onClose,
+  onNew,
+  onSelect,
+  onRename,
+  onDelete,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+
+  const finishRename = (id, title) => {
+    setEditingId(null);
+    if (title.trim()) onRename(id, title.trim());
+  };
+
+  return (
+    <>
+      {open && (
+        <div
+          className="fixed inset-0 bg-black/40 z-[1100]"
+          onClick={onClose}
+          aria-hidden="true"
+        />
+      )}
+      <aside
+        className={`fixed top-0 left-0 h-full w-80 bg-indigo-950/95 backdrop-blur-sm border-r border-white/10 z-[1101] flex flex-col transition-transform duration-300 ${
+          open ? "translate-x-0" : "-translate-x-full"
+        }`}
+        aria-label="Conversations"
+        aria-hidden={!open}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-white/10">
+          <h2 className="text-xl font-bold text-white">Conversations</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/10 rounded-lg text-white"
+            aria-label="Close conversations"
+          >
+            <FiX className="text-xl" />
+          </button>
+        </div>
+
+        <button
+          onClick={onNew}
+          className="m-4 flex items-center justify-center space-x-2 bg-blue-600/70 hover:bg-blue-500/70 text-white px-4 py-2 rounded-lg border border-blue-400/30 transition-colors"
+        >
+          <FiPlus />
+          <span>New conversation</span>
+        </button>
+
+        <ul className="flex-1 overflow-y-auto px-2 space-y-1">
+          {conversations.length === 0 && (
+            <li className="text-blue-200 text-sm px-3 py-2">
+              No saved conversations yet.
+            </li>
+          )}
+          {conversations.map((conversation) => (
+            <li
+              key={conversation.id}
+              className={`group flex items-center rounded-lg ${
+                conversation.id === activeId
+                  ? "bg-white/15"
+                  : "hover:bg-white/10"
+              }`}
+            >
+              {editingId === conversation.id ? (
+                <input
+                  autoFocus
+                  defaultValue={conversation.title}
+                  onBlur={(e) => finishRename(conversation.id, e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.target.blur();
+                    if (e.key === "Escape") setEditingId(null);
+                  }}
+                  className="flex-1 m-1 bg-white/10 border border-white/20 rounded px-2 py-1 text-white text-sm"
+                  aria-label="Conversation title"
+                />
+              ) : (
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  className="flex-1 flex items-center space-x-2 px-3 py-2 text-left text-white text-sm min-w-0"
+                >
+                  <FiMessageSquare className="flex-shrink-0 text-blue-200" />
+                  <span className="truncate">{conversation.title}</span>
+                </button>
+              )}
+              <button
+                onClick={() => setEditingId(conversation.id)}
+                className="p-2 text-blue-200 hover:text-white opacity-0 group-hover:opacity-100 focus:opacity-100"
+                aria-label={`Rename ${conversation.title}`}
+              >
+                <FiEdit2 />
+              </button>
+              <button
+                onClick={() => onDelete(conversation.id)}
+                className="p-2 text-blue-200 hover:text-red-400 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                aria-label={`Delete ${conversation.title}`}
+              >
+                <FiTrash2 />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </>
+  );
+};
+
+export default ConversationSidebar;
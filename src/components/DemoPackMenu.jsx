@@ -0,0 +1,91 @@
+"use client";
+import React, { useRef, useState } from "react";
+import { FiDownload, FiPackage, FiTrash2, FiUpload } from "react-icons/fi";
+
+// Header menu for the demo pack: record real answers while online, then
+// export them and import them on the laptop that runs the offline demo
+const DemoPackMenu = ({
+  entryCount,
+  recording,
+  onToggleRecording,
+  onExport,
+  onImport,
+  onClear,
+}) => {
+  const [open, setOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  return (
+    <div className="relative mr-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+        aria-label="Demo pack"
+        aria-expanded={open}
+      >
+        <FiPackage className="text-3xl" />
+        {recording && (
+          <span className="absolute top-1 right-1 w-3 h-3 bg-red-500 rounded-full animate-pulse" />
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 bg-indigo-950/95 backdrop-blur-sm border border-white/10 rounded-xl p-4 z-[1000] space-y-3 text-white">
+          <p className="text-sm text-blue-200">
+            {entryCount} saved answer{entryCount === 1 ? "" : "s"} for demo mode
+          </p>
+
+          <label className="flex items-center justify-between cursor-pointer">
+            <span>Record real answers</span>
+            <input
+              type="checkbox"
+              checked={recording}
+              onChange={onToggleRecording}
+              className="w-5 h-5 accent-red-500"
+            />
+          </label>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={onExport}
+              disabled={!entryCount}
+              className="flex-1 flex items-center justify-center space-x-1 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg py-2 text-sm"
+            >
+              <FiDownload />
+              <span>Export</span>
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex-1 flex items-center justify-center space-x-1 bg-white/10 hover:bg-white/20 rounded-lg py-2 text-sm"
+            >
+              <FiUpload />
+              <span>Import</span>
+            </button>
+            <button
+              onClick={onClear}
+              disabled={!entryCount}
+              className="p-2 bg-white/10 hover:bg-red-500/40 disabled:opacity-40 rounded-lg"
+              aria-label="Clear saved answers"
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              if (file) onImport(file);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DemoPackMenu;
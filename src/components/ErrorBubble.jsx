@@ -0,0 +1,52 @@
+"use client";
+import React from "react";
+import { FiAlertTriangle, FiRefreshCw, FiToggleRight } from "react-icons/fi";
+
+// A failed reply in the chat. Retry and the switch to demo mode are only
+// offered when their handlers are given.
+const ErrorBubble = ({ error, onRetry, onUseDemoMode, disabled }) => (
+  <div className="flex items-start space-x-4">
+    <div className="w-12 h-12 bg-gradient-to-r from-red-500 to-orange-500 rounded-full flex items-center justify-center flex-shrink-0">
+      <FiAlertTriangle className="text-white text-xl" />
+    </div>
+
+    <div
+      role="alert"
+      className="bubble-error max-w-3xl p-5 rounded-2xl rounded-bl-md shadow-lg backdrop-blur-sm border text-lg leading-relaxed bg-red-900/60 text-white border-red-400/40"
+    >
+      <p>{error.content}</p>
+      {onUseDemoMode && (
+        <p className="mt-2 text-base text-red-100">
+          Demo mode answers from saved responses without the server.
+        </p>
+      )}
+
+      {(onRetry || onUseDemoMode) && (
+        <div className="flex flex-wrap gap-3 mt-4 text-base">
+          {onRetry && (
+            <button
+              onClick={onRetry}
+              disabled={disabled}
+              className="flex items-center space-x-2 bg-white/20 hover:bg-white/30 rounded-lg px-4 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FiRefreshCw />
+              <span>Retry</span>
+            </button>
+          )}
+          {onUseDemoMode && (
+            <button
+              onClick={onUseDemoMode}
+              disabled={disabled}
+              className="flex items-center space-x-2 bg-white/20 hover:bg-white/30 rounded-lg px-4 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FiToggleRight />
+              <span>Switch to demo mode</span>
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default ErrorBubble;
@@ -10,14 +10,33 @@
  * // With custom props
  * <RcMascot
  *   greetingText="Ready to race into learning!"
+ *   primaryColor="#22c55e"
  *   dockRight={false}
+ *   speaking={isReadingAloud}
  *   onDock={() => console.log('Car docked!')}
+ *   onSound={(name) => playSound(name)} // "engine" | "zoom" | "ding"
  * />
  *
+ * Set `speaking` while a reply is read aloud: the docked car bounces and
+ * moves its mouth.
+ *
+ * // Reacting to the conversation through a ref
+ * const mascotRef = useRef(null);
+ * <RcMascot ref={mascotRef} />
+ * mascotRef.current.think();          // wheels spin until the next call
+ * mascotRef.current.say("Vroom!");    // speech bubble shows a short snippet
+ * mascotRef.current.celebrate();      // jump and confetti burst
+ * mascotRef.current.error("Oops!");   // shake, with an optional message
+ * mascotRef.current.rest();           // back to the greeting
+ * mascotRef.current.replay();         // run the splash sequence again
+ *
+ * Moods only show once the car has docked.
+ *
  * REQUIRED PACKAGES: react only (no external deps)
  *
  * INTEGRATION NOTES:
- * - Add sound effects at marked comments (// SOUND:)
+ * - Sound effects are requested through onSound at the marked comments
+ *   (// SOUND:); the first splash usually plays before audio is unlocked
  * - Connect real chat input focus to trigger docking
  * - Customize colors/timings in the CSS variables section
  *
@@ -30,7 +49,18 @@
 
 "use client"; // Add this for Next.js App Router
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+  forwardRef,
+  useImperativeHandle,
+} from "react";
+
+// Longest text shown in the docked speech bubble
+const MAX_BUBBLE_LENGTH = 90;
+const CONFETTI_COLORS = ["#facc15", "#22c55e", "#3b82f6", "#ec4899"];
 
 // Custom hooks with SSR safety
 const usePrefersReducedMotion = () => {
@@ -69,26 +99,53 @@ const useDocumentVisibility = () => {
   return isVisible;
 };
 
-const RcMascot = ({
-  greetingText = "Ready to race through some RC adventures! 🏎️",
-  dockRight = false,
-  onDock = null,
-}) => {
+const toBubbleText = (text) => {
+  const plain = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return plain.length > MAX_BUBBLE_LENGTH
+    ? `${plain.slice(0, MAX_BUBBLE_LENGTH - 1).trimEnd()}…`
+    : plain;
+};
+
+const RcMascot = forwardRef(function RcMascot(
+  {
+    greetingText = "Ready to race through some RC adventures! 🏎️",
+    primaryColor = "#f97316", // bright orange
+    dockRight = false,
+    speaking = false,
+    onDock = null,
+    onSound = null,
+  },
+  ref
+) {
   // State management
   const [animationState, setAnimationState] = useState("splash");
   const [showControls, setShowControls] = useState(false);
   const [isMounted, setIsMounted] = useState(false); // Track if component is mounted
+  const [mood, setMood] = useState(null); // thinking | celebrating | error
+  const [bubbleText, setBubbleText] = useState(null); // replaces greetingText
 
   // Refs for cleanup and preventing restart
   const timeoutRefs = useRef([]);
   const animationFrameRef = useRef(null);
   const animationStartedRef = useRef(false);
   const isInitializedRef = useRef(false);
+  const moodTimeoutRef = useRef(null);
+  const bubbleTimeoutRef = useRef(null);
 
   // Custom hooks
   const prefersReducedMotion = usePrefersReducedMotion();
   const isDocumentVisible = useDocumentVisibility();
 
+  // Talking and moods only show once the car has docked
+  const isSettled = animationState === "docked" || animationState === "idle";
+  const isTalking = speaking && isSettled;
+  const activeMood = isSettled ? mood : null;
+  const wheelsSpinning =
+    (animationState === "splash" || activeMood === "thinking") &&
+    !prefersReducedMotion;
+
   // Handle mounting for SSR
   useEffect(() => {
     setIsMounted(true);
@@ -130,12 +187,14 @@ const RcMascot = ({
     // Show splash for 5 seconds
     setAnimationState("splash");
     // SOUND: Engine roar sound
+    onSound?.("engine");
 
     // Start transition to side
     safeTimeout(() => {
       if (animationStartedRef.current) {
         setAnimationState("transitioning");
         // SOUND: Zoom out sound
+        onSound?.("zoom");
       }
     }, 5000);
 
@@ -146,6 +205,7 @@ const RcMascot = ({
         setShowControls(true);
         onDock?.();
         // SOUND: Success ding
+        onSound?.("ding");
       }
     }, 7000);
 
@@ -155,7 +215,35 @@ const RcMascot = ({
         setAnimationState("idle");
       }
     }, 7500);
-  }, [prefersReducedMotion, onDock, safeTimeout]);
+  }, [prefersReducedMotion, onDock, onSound, safeTimeout]);
+
+  // Moods and bubble texts without a duration last until the next call
+  const showMood = useCallback((nextMood, duration) => {
+    clearTimeout(moodTimeoutRef.current);
+    setMood(nextMood);
+    if (duration) {
+      moodTimeoutRef.current = setTimeout(() => setMood(null), duration);
+    }
+  }, []);
+
+  const showBubble = useCallback((text, duration) => {
+    clearTimeout(bubbleTimeoutRef.current);
+    setBubbleText(text);
+    if (duration) {
+      bubbleTimeoutRef.current = setTimeout(
+        () => setBubbleText(null),
+        duration
+      );
+    }
+  }, []);
+
+  useEffect(
+    () => () => {
+      clearTimeout(moodTimeoutRef.current);
+      clearTimeout(bubbleTimeoutRef.current);
+    },
+    []
+  );
 
   // Replay function
   const replayAnimation = useCallback(() => {
@@ -168,6 +256,40 @@ const RcMascot = ({
     }, 100);
   }, [cleanup, startSequence, safeTimeout]);
 
+  // Imperative API for reacting to chat events
+  useImperativeHandle(
+    ref,
+    () => ({
+      say(text) {
+        const snippet = toBubbleText(text);
+        if (!snippet) return;
+        setMood((current) => (current === "thinking" ? null : current));
+        // Long enough to read: 4 to 10 seconds
+        showBubble(snippet, Math.min(10000, 4000 + snippet.length * 60));
+      },
+      think(text = "Hmm, let me think… 🤔") {
+        showMood("thinking");
+        showBubble(toBubbleText(text));
+      },
+      celebrate(text) {
+        showMood("celebrating", 2500);
+        if (text) showBubble(toBubbleText(text), 5000);
+      },
+      error(text = "Oops, I spun out! Try again? 😵") {
+        showMood("error", 2000);
+        showBubble(toBubbleText(text), 6000);
+      },
+      rest() {
+        showMood(null);
+        showBubble(null);
+      },
+      replay() {
+        replayAnimation();
+      },
+    }),
+    [showMood, showBubble, replayAnimation]
+  );
+
   // Initialize animation on mount ONLY
   useEffect(() => {
     if (!isMounted || isInitializedRef.current) return;
@@ -216,7 +338,7 @@ const RcMascot = ({
       <style jsx>{`
         /* CSS Variables - Customize colors and timings here */
         .rc-mascot {
-          --car-primary: #f97316; /* bright orange */
+          --car-primary: ${primaryColor};
           --car-secondary: #ffffff; /* white */
           --car-tertiary: #374151; /* dark gray */
           --bubble-bg: #ffffff;
@@ -255,23 +377,21 @@ const RcMascot = ({
         /* Transitioning state - moving to side */
         .rc-mascot.transitioning {
           top: 50%;
-          left: ${dockRight ? "auto" : "50%"};
-          right: ${dockRight ? "50%" : "auto"};
-          transform: translate(${dockRight ? "50%" : "-50%"}, -50%) scale(0.3);
+          left: 50%;
+          transform: translate(-50%, -50%) scale(0.3);
           width: auto;
           height: auto;
           background: none;
           backdrop-filter: none;
         }
 
-        /* Docked/Idle state - side position */
+        /* Docked/Idle state - side position. Anchored by top/left only (auto
+           offsets can't be animated), so the car drives into either corner */
         .rc-mascot.docked,
         .rc-mascot.idle {
-          bottom: 20px;
-          left: ${dockRight ? "auto" : "20px"};
-          right: ${dockRight ? "20px" : "auto"};
-          top: auto;
-          transform: none;
+          top: calc(100% - 20px);
+          left: ${dockRight ? "calc(100% - 20px)" : "20px"};
+          transform: translate(${dockRight ? "-100%" : "0"}, -100%);
           width: auto;
           height: auto;
           background: none;
@@ -287,6 +407,7 @@ const RcMascot = ({
         }
 
         .rc-car {
+          overflow: visible;
           transform-origin: center;
           filter: drop-shadow(0 8px 16px var(--shadow-color));
           transition: all 0.3s ease;
@@ -440,6 +561,93 @@ const RcMascot = ({
           transform-origin: center;
         }
 
+        /* Speaking state - bouncing while a reply is read aloud */
+        @keyframes talkBounce {
+          0%,
+          100% {
+            transform: translateY(0) rotate(0deg);
+          }
+          30% {
+            transform: translateY(-4px) rotate(-2deg);
+          }
+          60% {
+            transform: translateY(-1px) rotate(1deg);
+          }
+        }
+
+        .rc-mascot.speaking .rc-car {
+          animation: talkBounce 0.5s ease-in-out infinite;
+        }
+
+        .rc-mascot.speaking .antenna-group {
+          animation: antennaBounceExcited 1s ease-in-out infinite;
+          transform-origin: 85px 15px;
+        }
+
+        /* Moods - driven through the ref API */
+        .rc-mascot.thinking .headlight {
+          animation: headlightRave 1.6s ease-in-out infinite;
+        }
+
+        @keyframes celebrateJump {
+          0%,
+          100% {
+            transform: translateY(0) rotate(0deg);
+          }
+          40% {
+            transform: translateY(-18px) rotate(-6deg);
+          }
+          70% {
+            transform: translateY(-6px) rotate(3deg);
+          }
+        }
+
+        .rc-mascot.celebrating .rc-car {
+          animation: celebrateJump 0.6s ease-out 3;
+        }
+
+        .rc-mascot.celebrating .antenna-group {
+          animation: antennaBounceExcited 0.6s ease-in-out infinite;
+          transform-origin: 85px 15px;
+        }
+
+        @keyframes errorShake {
+          0%,
+          100% {
+            transform: translateX(0);
+          }
+          20%,
+          60% {
+            transform: translateX(-5px) rotate(-2deg);
+          }
+          40%,
+          80% {
+            transform: translateX(5px) rotate(2deg);
+          }
+        }
+
+        .rc-mascot.error .rc-car {
+          animation: errorShake 0.5s ease-in-out 2;
+        }
+
+        /* Confetti burst from the middle of the car */
+        .burst rect {
+          animation: burstOut 0.9s ease-out forwards;
+        }
+
+        @keyframes burstOut {
+          from {
+            transform: translate(60px, 30px) rotate(var(--angle)) translateY(0)
+              scale(1);
+            opacity: 1;
+          }
+          to {
+            transform: translate(60px, 30px) rotate(var(--angle))
+              translateY(-55px) scale(0.4);
+            opacity: 0;
+          }
+        }
+
         /* Speech bubble */
         .speech-bubble {
           background: var(--bubble-bg);
@@ -619,11 +827,9 @@ const RcMascot = ({
 
           .rc-mascot.splash {
             position: fixed;
-            bottom: 20px;
-            left: ${dockRight ? "auto" : "20px"};
-            right: ${dockRight ? "20px" : "auto"};
-            top: auto;
-            transform: none;
+            top: calc(100% - 20px);
+            left: ${dockRight ? "calc(100% - 20px)" : "20px"};
+            transform: translate(${dockRight ? "-100%" : "0"}, -100%);
             width: auto;
             height: auto;
             background: none;
@@ -632,11 +838,15 @@ const RcMascot = ({
         }
       `}</style>
 
-      <div className={`rc-mascot ${animationState}`}>
+      <div
+        className={`rc-mascot ${animationState}${
+          activeMood ? ` ${activeMood}` : ""
+        }${isTalking ? " speaking" : ""}`}
+      >
         <div className="mascot-container">
           {/* Speech bubble */}
           <div className="speech-bubble" role="status" aria-live="polite">
-            {greetingText}
+            {(isSettled && bubbleText) || greetingText}
           </div>
 
           {/* RC Car SVG */}
@@ -683,7 +893,7 @@ const RcMascot = ({
               r="8"
               fill="var(--car-tertiary)"
             >
-              {animationState === "splash" && !prefersReducedMotion && (
+              {wheelsSpinning && (
                 <animateTransform
                   attributeName="transform"
                   attributeType="XML"
@@ -702,7 +912,7 @@ const RcMascot = ({
               r="8"
               fill="var(--car-tertiary)"
             >
-              {animationState === "splash" && !prefersReducedMotion && (
+              {wheelsSpinning && (
                 <animateTransform
                   attributeName="transform"
                   attributeType="XML"
@@ -766,6 +976,27 @@ const RcMascot = ({
             <circle cx="70" cy="24" r="1.5" fill="white" />
             <circle cx="80" cy="24" r="1.5" fill="white" />
 
+            {/* Mouth while speaking */}
+            {isTalking && (
+              <ellipse
+                className="mouth"
+                cx="75"
+                cy="31"
+                rx="3"
+                ry="1.5"
+                fill="var(--car-tertiary)"
+              >
+                {!prefersReducedMotion && (
+                  <animate
+                    attributeName="ry"
+                    values="0.5;2;0.8;1.8;0.5"
+                    dur="0.6s"
+                    repeatCount="indefinite"
+                  />
+                )}
+              </ellipse>
+            )}
+
             {/* Spoiler */}
             <rect
               x="5"
@@ -921,6 +1152,28 @@ const RcMascot = ({
                 </ellipse>
               </>
             )}
+
+            {/* Celebration burst */}
+            {activeMood === "celebrating" && !prefersReducedMotion && (
+              <g className="burst" aria-hidden="true">
+                {Array.from({ length: 12 }, (_, index) => (
+                  <rect
+                    key={index}
+                    x="-3"
+                    y="-3"
+                    width="6"
+                    height="6"
+                    rx="1"
+                    fill={
+                      index % 3 === 0
+                        ? primaryColor
+                        : CONFETTI_COLORS[index % CONFETTI_COLORS.length]
+                    }
+                    style={{ "--angle": `${index * 30}deg` }}
+                  />
+                ))}
+              </g>
+            )}
           </svg>
 
           {/* Controls */}
@@ -945,6 +1198,6 @@ const RcMascot = ({
       </div>
     </>
   );
-};
+});
 
 export default RcMascot;
@@ -0,0 +1,100 @@
+"use client";
+import React, { useState } from "react";
+import {
+  FiCheck,
+  FiChevronLeft,
+  FiChevronRight,
+  FiCopy,
+  FiEdit2,
+  FiRefreshCw,
+} from "react-icons/fi";
+
+const buttonClass =
+  "p-1.5 hover:bg-white/10 rounded-md text-blue-200 transition-colors disabled:opacity-40 disabled:cursor-not-allowed";
+
+// Toolbar under a chat message: copy it as markdown, browse the versions
+// forked at it, and edit or regenerate. Actions that start a reply are left
+// out unless their handler is given, and are disabled while Nova is busy.
+const MessageActions = ({
+  message,
+  onEdit,
+  onRegenerate,
+  onShowBranch,
+  disabled,
+}) => {
+  const [copied, setCopied] = useState(false);
+  const branches = message.branches;
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(message.content);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying message:", error);
+    }
+  };
+
+  return (
+    <div className="message-actions flex items-center space-x-1 text-sm text-blue-200">
+      {branches && (
+        <div className="flex items-center">
+          <button
+            onClick={() => onShowBranch(branches.active - 1)}
+            disabled={disabled || branches.active === 0}
+            className={buttonClass}
+            aria-label="Previous version"
+          >
+            <FiChevronLeft />
+          </button>
+          <span className="tabular-nums">
+            {branches.active + 1}/{branches.tails.length}
+          </span>
+          <button
+            onClick={() => onShowBranch(branches.active + 1)}
+            disabled={disabled || branches.active === branches.tails.length - 1}
+            className={buttonClass}
+            aria-label="Next version"
+          >
+            <FiChevronRight />
+          </button>
+        </div>
+      )}
+
+      <button
+        onClick={copy}
+        className={buttonClass}
+        aria-label="Copy as markdown"
+        title="Copy as markdown"
+      >
+        {copied ? <FiCheck className="text-green-400" /> : <FiCopy />}
+      </button>
+
+      {onEdit && (
+        <button
+          onClick={onEdit}
+          disabled={disabled}
+          className={buttonClass}
+          aria-label="Edit and resend"
+          title="Edit and resend"
+        >
+          <FiEdit2 />
+        </button>
+      )}
+
+      {onRegenerate && (
+        <button
+          onClick={onRegenerate}
+          disabled={disabled}
+          className={buttonClass}
+          aria-label="Regenerate answer"
+          title="Regenerate answer"
+        >
+          <FiRefreshCw />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
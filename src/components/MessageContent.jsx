@@ -0,0 +1,88 @@
+"use client";
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import rehypeHighlight from "rehype-highlight";
+import rehypeKatex from "rehype-katex";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import CodeBlock from "@/components/CodeBlock";
+import "katex/dist/katex.min.css";
+
+// Models often write math as \( \) and \[ \], but remark-math only reads
+// dollars. A single $ is left as text so prices aren't typeset, which makes
+// inline math $$...$$ within the line. Code spans and blocks are left alone.
+const normalizeMath = (markdown) =>
+  markdown
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, index) =>
+      index % 2
+        ? part
+        : part
+            .replace(
+              /\\\[([\s\S]+?)\\\]/g,
+              (_, math) => `\n$$\n${math.trim()}\n$$\n`
+            )
+            .replace(/\\\(([\s\S]+?)\\\)/g, (_, math) => `$$${math.trim()}$$`)
+    )
+    .join("");
+
+// Markdown rendering for chat messages, shared by the chat view and the HTML
+// transcript export. Fenced code is highlighted, and $$...$$ is typeset as
+// math.
+const MessageContent = ({ content }) => (
+  <div className="message-content">
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, [remarkMath, { singleDollarTextMath: false }]]}
+      rehypePlugins={[rehypeHighlight, rehypeKatex]}
+      components={{
+        pre({ node, children }) {
+          const classNames = node?.children?.[0]?.properties?.className || [];
+          const language = classNames
+            .find((name) => String(name).startsWith("language-"))
+            ?.slice("language-".length);
+          return <CodeBlock language={language}>{children}</CodeBlock>;
+        },
+        table({ children }) {
+          return (
+            <div className="overflow-x-auto shadow-md rounded-lg mb-4">
+              <table className="min-w-full divide-y divide-gray-700">
+                {children}
+              </table>
+            </div>
+          );
+        },
+        thead({ children }) {
+          return <thead className="bg-gray-800">{children}</thead>;
+        },
+        tbody({ children }) {
+          return <tbody className="divide-y divide-gray-700">{children}</tbody>;
+        },
+        tr({ children }) {
+          return (
+            <tr className="hover:bg-gray-800/50 transition-colors">
+              {children}
+            </tr>
+          );
+        },
+        th({ children }) {
+          return (
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+              {children}
+            </th>
+          );
+        },
+        td({ children }) {
+          return (
+            <td className="px-4 py-3 text-sm text-gray-300 whitespace-nowrap">
+              {children}
+            </td>
+          );
+        },
+      }}
+    >
+      {normalizeMath(content)}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MessageContent;
@@ -0,0 +1,50 @@
+"use client";
+import React, { useState } from "react";
+
+// Inline editor for a sent question. Enter resends it, Escape cancels.
+const MessageEditor = ({ initialContent, maxLength, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(initialContent);
+
+  const save = () => {
+    if (draft.trim()) onSave(draft);
+  };
+
+  return (
+    <div className="space-y-3">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            save();
+          } else if (e.key === "Escape") {
+            onCancel();
+          }
+        }}
+        autoFocus
+        rows="3"
+        maxLength={maxLength}
+        aria-label="Edit message"
+        className="w-full min-w-72 bg-white/10 border border-white/30 rounded-xl px-4 py-3 text-white resize-none focus:outline-none focus:ring-2 focus:ring-white/50"
+      />
+      <div className="flex justify-end space-x-2 text-base">
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 hover:bg-white/10 rounded-lg text-white"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={save}
+          disabled={!draft.trim()}
+          className="px-3 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-white disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MessageEditor;
@@ -0,0 +1,118 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import {
+  FiMaximize,
+  FiMinimize,
+  FiMinus,
+  FiMonitor,
+  FiPlus,
+} from "react-icons/fi";
+import {
+  FONT_SCALE,
+  HOTKEYS,
+  PRESENTATION_THEMES,
+  toggleFullscreen,
+} from "@/lib/presentation";
+
+// Header menu for running Nova on a projector: fullscreen, text size, theme
+// and the keyboard shortcuts
+const PresentationMenu = ({ settings, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [fullscreen, setFullscreen] = useState(false);
+
+  // Fullscreen can also be left with Esc, so follow the document
+  useEffect(() => {
+    const update = () => setFullscreen(Boolean(document.fullscreenElement));
+    update();
+    document.addEventListener("fullscreenchange", update);
+    return () => document.removeEventListener("fullscreenchange", update);
+  }, []);
+
+  const scaleBy = (step) =>
+    onChange({ fontScale: settings.fontScale + step * FONT_SCALE.step });
+
+  return (
+    <div className="relative mr-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+        aria-label="Presentation settings"
+        aria-expanded={open}
+      >
+        <FiMonitor className="text-3xl" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-80 bg-indigo-950/95 backdrop-blur-sm border border-white/10 rounded-xl p-4 z-[1000] space-y-3 text-white">
+          <button
+            onClick={toggleFullscreen}
+            className="w-full flex items-center justify-center space-x-2 bg-white/10 hover:bg-white/20 rounded-lg py-2"
+          >
+            {fullscreen ? <FiMinimize /> : <FiMaximize />}
+            <span>{fullscreen ? "Exit fullscreen" : "Fullscreen"}</span>
+          </button>
+
+          <div className="flex items-center justify-between">
+            <span>Text size</span>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => scaleBy(-1)}
+                disabled={settings.fontScale <= FONT_SCALE.min}
+                className="p-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg"
+                aria-label="Smaller text"
+              >
+                <FiMinus />
+              </button>
+              <span className="w-14 text-center">
+                {Math.round(settings.fontScale * 100)}%
+              </span>
+              <button
+                onClick={() => scaleBy(1)}
+                disabled={settings.fontScale >= FONT_SCALE.max}
+                className="p-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg"
+                aria-label="Bigger text"
+              >
+                <FiPlus />
+              </button>
+            </div>
+          </div>
+
+          <label className="block">
+            <span className="text-sm text-blue-200">Theme</span>
+            <select
+              value={settings.theme}
+              onChange={(e) => onChange({ theme: e.target.value })}
+              className="mt-1 w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white"
+            >
+              {PRESENTATION_THEMES.map((theme) => (
+                <option
+                  key={theme.id}
+                  value={theme.id}
+                  className="text-gray-900"
+                >
+                  {theme.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div>
+            <p className="text-sm text-blue-200 mb-1">Keyboard shortcuts</p>
+            <ul className="text-sm space-y-1">
+              {HOTKEYS.map((hotkey) => (
+                <li key={hotkey.keys} className="flex justify-between">
+                  <span>{hotkey.label}</span>
+                  <kbd className="bg-white/10 rounded px-1.5 font-mono">
+                    {hotkey.keys}
+                  </kbd>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresentationMenu;
@@ -0,0 +1,202 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import {
+  FiArrowDown,
+  FiArrowUp,
+  FiCheck,
+  FiMaximize2,
+  FiX,
+} from "react-icons/fi";
+
+// Presenter's moderation panel for audience questions, plus the QR code that
+// sends phones to /ask. Approved questions are asked by the chat page.
+const QuestionQueuePanel = ({
+  open,
+  authenticated,
+  questions,
+  onClose,
+  onApprove,
+  onReject,
+  onMove,
+}) => {
+  const [qrCode, setQrCode] = useState(null);
+  const [qrFailed, setQrFailed] = useState(false);
+  const [askUrl, setAskUrl] = useState("");
+  const [showQr, setShowQr] = useState(false);
+
+  useEffect(() => {
+    const url = `${window.location.origin}/ask`;
+    setAskUrl(url);
+    QRCode.toDataURL(url, { width: 512, margin: 1 })
+      .then(setQrCode)
+      .catch(() => setQrFailed(true));
+  }, []);
+
+  const pending = questions.filter((question) => question.status === "pending");
+  const approved = questions.filter(
+    (question) => question.status === "approved"
+  );
+
+  return (
+    <>
+      {open && (
+        <div
+          className="fixed inset-0 bg-black/40 z-[1100]"
+          onClick={onClose}
+          aria-hidden="true"
+        />
+      )}
+      <aside
+        className={`fixed top-0 right-0 h-full w-96 bg-indigo-950/95 backdrop-blur-sm border-l border-white/10 z-[1101] flex flex-col transition-transform duration-300 ${
+          open ? "translate-x-0" : "translate-x-full"
+        }`}
+        aria-label="Audience questions"
+        aria-hidden={!open}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-white/10">
+          <h2 className="text-xl font-bold text-white">Audience questions</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/10 rounded-lg text-white"
+            aria-label="Close audience questions"
+          >
+            <FiX className="text-xl" />
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-4 p-4 border-b border-white/10">
+          {qrCode && (
+            <img
+              src={qrCode}
+              alt={`QR code for ${askUrl}`}
+              className="w-24 h-24 rounded bg-white"
+            />
+          )}
+          <div className="min-w-0">
+            <p className="text-blue-200 text-sm">
+              {qrFailed
+                ? "Could not draw the QR code - share the link instead"
+                : "Scan to ask from a phone"}
+            </p>
+            <p className="text-white text-sm font-mono truncate">{askUrl}</p>
+            <button
+              onClick={() => setShowQr(true)}
+              disabled={!qrCode}
+              className="mt-2 flex items-center space-x-2 text-sm text-white bg-blue-600/70 hover:bg-blue-500/70 disabled:opacity-50 px-3 py-1 rounded-lg"
+            >
+              <FiMaximize2 />
+              <span>Show on screen</span>
+            </button>
+          </div>
+        </div>
+
+        {!authenticated ? (
+          <p className="text-blue-200 text-sm p-4">
+            <a href="/admin" className="underline text-white">
+              Sign in as presenter
+            </a>{" "}
+            to review questions.
+          </p>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-4 space-y-6">
+            {approved.length > 0 && (
+              <section>
+                <h3 className="text-sm text-blue-200 mb-2">Up next</h3>
+                <ul className="space-y-2">
+                  {approved.map((question) => (
+                    <li
+                      key={question.id}
+                      className="bg-green-600/20 border border-green-400/30 rounded-lg px-3 py-2 text-white text-sm"
+                    >
+                      <span className="font-semibold">
+                        {question.nickname}:
+                      </span>{" "}
+                      {question.text}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            <section>
+              <h3 className="text-sm text-blue-200 mb-2">
+                Waiting ({pending.length})
+              </h3>
+              {pending.length === 0 && (
+                <p className="text-blue-200 text-sm">No questions yet.</p>
+              )}
+              <ul className="space-y-2">
+                {pending.map((question, index) => (
+                  <li
+                    key={question.id}
+                    className="bg-white/10 rounded-lg px-3 py-2 text-white"
+                  >
+                    <p className="text-sm">
+                      <span className="font-semibold">
+                        {question.nickname}:
+                      </span>{" "}
+                      {question.text}
+                    </p>
+                    <div className="flex items-center justify-end space-x-1 mt-2">
+                      <button
+                        onClick={() => onMove(question.id, index - 1)}
+                        disabled={index === 0}
+                        className="p-1.5 hover:bg-white/10 rounded disabled:opacity-30"
+                        aria-label="Move up"
+                      >
+                        <FiArrowUp />
+                      </button>
+                      <button
+                        onClick={() => onMove(question.id, index + 1)}
+                        disabled={index === pending.length - 1}
+                        className="p-1.5 hover:bg-white/10 rounded disabled:opacity-30"
+                        aria-label="Move down"
+                      >
+                        <FiArrowDown />
+                      </button>
+                      <button
+                        onClick={() => onReject(question.id)}
+                        className="p-1.5 hover:bg-red-500/30 rounded text-red-300"
+                        aria-label="Reject"
+                      >
+                        <FiX />
+                      </button>
+                      <button
+                        onClick={() => onApprove(question.id)}
+                        className="p-1.5 hover:bg-green-500/30 rounded text-green-300"
+                        aria-label="Approve"
+                      >
+                        <FiCheck />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </div>
+        )}
+      </aside>
+
+      {/* Full-screen QR code for the audience to scan */}
+      {showQr && qrCode && (
+        <div
+          className="fixed inset-0 bg-black/80 z-[1200] flex flex-col items-center justify-center cursor-pointer"
+          onClick={() => setShowQr(false)}
+        >
+          <img
+            src={qrCode}
+            alt={`QR code for ${askUrl}`}
+            className="w-[min(70vh,70vw)] h-[min(70vh,70vw)] rounded-2xl bg-white p-4"
+          />
+          <p className="text-white text-3xl font-bold mt-6">
+            Scan to ask a question
+          </p>
+          <p className="text-blue-200 text-xl font-mono mt-2">{askUrl}</p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QuestionQueuePanel;
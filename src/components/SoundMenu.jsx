@@ -0,0 +1,87 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import { FiVolume2, FiVolumeX } from "react-icons/fi";
+import {
+  defaultSoundSettings,
+  getSoundSettings,
+  playSound,
+  setSoundSettings,
+} from "@/lib/sound";
+
+// Header menu for sound effects: mute, quiet mode and master volume
+const SoundMenu = () => {
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState(defaultSoundSettings);
+
+  // Saved settings are only readable in the browser
+  useEffect(() => {
+    setSettings(getSoundSettings());
+  }, []);
+
+  const update = (changes) => setSettings(setSoundSettings(changes));
+
+  return (
+    <div className="relative mr-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+        aria-label="Sound effects"
+        aria-expanded={open}
+      >
+        {settings.muted ? (
+          <FiVolumeX className="text-3xl" />
+        ) : (
+          <FiVolume2 className="text-3xl" />
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 bg-indigo-950/95 backdrop-blur-sm border border-white/10 rounded-xl p-4 z-[1000] space-y-3 text-white">
+          <label className="flex items-center justify-between cursor-pointer">
+            <span>Mute</span>
+            <input
+              type="checkbox"
+              checked={settings.muted}
+              onChange={(e) => update({ muted: e.target.checked })}
+              className="w-5 h-5 accent-blue-500"
+            />
+          </label>
+
+          <label className="flex items-center justify-between cursor-pointer">
+            <span>
+              Quiet mode
+              <span className="block text-sm text-blue-200">
+                Soft cues only, no engine or whoosh
+              </span>
+            </span>
+            <input
+              type="checkbox"
+              checked={settings.quiet}
+              onChange={(e) => update({ quiet: e.target.checked })}
+              className="w-5 h-5 accent-blue-500"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-blue-200">
+              Volume · {Math.round(settings.volume * 100)}%
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.volume}
+              disabled={settings.muted}
+              onChange={(e) => update({ volume: Number(e.target.value) })}
+              onPointerUp={() => playSound("reply")}
+              className="mt-1 w-full accent-blue-500 disabled:opacity-40"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SoundMenu;
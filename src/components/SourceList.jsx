@@ -0,0 +1,28 @@
+"use client";
+import React from "react";
+import { FiBookOpen } from "react-icons/fi";
+import { sourceLabel } from "@/lib/knowledge/citations";
+
+// Knowledge-base documents an answer cited, under their number in the answer
+const SourceList = ({ sources }) =>
+  sources.length ? (
+    <div className="source-list mt-4 pt-3 border-t border-white/10 text-base text-blue-200">
+      <p className="mb-2 flex items-center space-x-2">
+        <FiBookOpen />
+        <span>Sources</span>
+      </p>
+      <ol className="space-y-1">
+        {sources.map((source) => (
+          <li key={source.n} className="flex items-baseline space-x-2">
+            <span className="font-mono text-indigo-300">[{source.n}]</span>
+            <span>{sourceLabel(source)}</span>
+            <span className="font-mono text-sm text-gray-300">
+              {source.source}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  ) : null;
+
+export default SourceList;
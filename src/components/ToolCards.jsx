@@ -0,0 +1,31 @@
+"use client";
+import React from "react";
+import { FiAlertTriangle, FiTool } from "react-icons/fi";
+
+// The calculators the model ran for an answer, with what each one worked out
+const ToolCards = ({ tools }) =>
+  tools.length ? (
+    <div className="mb-4 space-y-2">
+      {tools.map((tool) => (
+        <div
+          key={tool.id}
+          className="tool-card flex items-start space-x-3 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-base"
+        >
+          {tool.error ? (
+            <FiAlertTriangle className="mt-1 flex-shrink-0 text-orange-300" />
+          ) : (
+            <FiTool className="mt-1 flex-shrink-0 text-indigo-300" />
+          )}
+          <div>
+            <p className="text-sm font-semibold text-blue-200">
+              {tool.label}
+              {tool.error && " · could not run"}
+            </p>
+            <p className="text-white">{tool.summary}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  ) : null;
+
+export default ToolCards;
@@ -0,0 +1,114 @@
+"use client";
+import React, { useRef, useState } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import { FiDownload, FiFileText, FiUpload } from "react-icons/fi";
+import MessageContent from "@/components/MessageContent";
+import {
+  transcriptFileName,
+  transcriptToHtml,
+  transcriptToJson,
+  transcriptToMarkdown,
+} from "@/lib/transcript";
+
+const FORMATS = [
+  {
+    id: "md",
+    label: "Markdown",
+    type: "text/markdown",
+    convert: transcriptToMarkdown,
+  },
+  {
+    id: "html",
+    label: "Printable page",
+    type: "text/html",
+    convert: (transcript) =>
+      transcriptToHtml(transcript, (content) =>
+        renderToStaticMarkup(<MessageContent content={content} />)
+      ),
+  },
+  {
+    id: "json",
+    label: "JSON (re-importable)",
+    type: "application/json",
+    convert: transcriptToJson,
+  },
+];
+
+const download = (fileName, content, type) => {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+// Header menu to export the conversation on screen for handing out, and to
+// import a JSON transcript back into the view
+const TranscriptMenu = ({ getTranscript, onImport }) => {
+  const [open, setOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const exportAs = (format) => {
+    const transcript = getTranscript();
+    download(
+      transcriptFileName(transcript, format.id),
+      format.convert(transcript),
+      format.type
+    );
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative mr-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 hover:bg-white/10 rounded-lg text-white transition-colors"
+        aria-label="Transcript"
+        aria-expanded={open}
+      >
+        <FiFileText className="text-3xl" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 bg-indigo-950/95 backdrop-blur-sm border border-white/10 rounded-xl p-4 z-[1000] space-y-2 text-white">
+          <p className="text-sm text-blue-200">Export this conversation</p>
+          {FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => exportAs(format)}
+              className="w-full flex items-center space-x-2 bg-white/10 hover:bg-white/20 rounded-lg px-3 py-2 text-sm"
+            >
+              <FiDownload />
+              <span>{format.label}</span>
+            </button>
+          ))}
+
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="w-full flex items-center space-x-2 bg-white/10 hover:bg-white/20 rounded-lg px-3 py-2 text-sm"
+          >
+            <FiUpload />
+            <span>Import JSON transcript</span>
+          </button>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              if (file) {
+                onImport(file);
+                setOpen(false);
+              }
+              e.target.value = "";
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptMenu;
@@ -0,0 +1,199 @@
+"use client";
+import React, { useEffect, useRef, useState } from "react";
+import { FiMic, FiSliders } from "react-icons/fi";
+import { canSpeak, getSpeechRecognition, stopSpeaking } from "@/lib/speech";
+
+// Microphone button for the input area, plus a popover with the voice
+// settings. Recognized speech is passed to `onTranscript` as it comes in,
+// with `isFinal` set once the speaker stops.
+const VoiceControls = ({ settings, onChange, onTranscript, disabled }) => {
+  const [canListen, setCanListen] = useState(false);
+  const [voices, setVoices] = useState([]);
+  const [listening, setListening] = useState(false);
+  const [open, setOpen] = useState(false);
+  const recognitionRef = useRef(null);
+  const transcriptRef = useRef("");
+  const onTranscriptRef = useRef(onTranscript);
+  onTranscriptRef.current = onTranscript;
+
+  // Browsers load their voice list asynchronously
+  useEffect(() => {
+    setCanListen(Boolean(getSpeechRecognition()));
+    if (!canSpeak()) return;
+
+    const loadVoices = () => setVoices(window.speechSynthesis.getVoices());
+    loadVoices();
+    window.speechSynthesis.addEventListener("voiceschanged", loadVoices);
+    return () =>
+      window.speechSynthesis.removeEventListener("voiceschanged", loadVoices);
+  }, []);
+
+  useEffect(() => () => recognitionRef.current?.abort(), []);
+
+  const startListening = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition || recognitionRef.current || disabled) return;
+
+    // Otherwise the microphone hears Nova's own reply
+    stopSpeaking();
+
+    const recognition = new SpeechRecognition();
+    recognition.lang = navigator.language || "en-US";
+    recognition.interimResults = true;
+    // Held down, keep listening through pauses until the button is released
+    recognition.continuous = settings.pushToTalk;
+    transcriptRef.current = "";
+
+    recognition.onresult = (event) => {
+      transcriptRef.current = Array.from(event.results)
+        .map((result) => result[0].transcript)
+        .join("");
+      onTranscriptRef.current(transcriptRef.current, false);
+    };
+    recognition.onerror = (event) => {
+      if (event.error !== "aborted" && event.error !== "no-speech") {
+        console.error("Speech recognition error:", event.error);
+      }
+    };
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setListening(false);
+      const transcript = transcriptRef.current.trim();
+      if (transcript) onTranscriptRef.current(transcript, true);
+    };
+
+    recognitionRef.current = recognition;
+    recognition.start();
+    setListening(true);
+  };
+
+  const stopListening = () => recognitionRef.current?.stop();
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // Push-to-talk listens while the button is held, by pointer or keyboard;
+  // otherwise a click starts and stops listening
+  const micHandlers = settings.pushToTalk
+    ? {
+        onPointerDown: startListening,
+        onPointerUp: stopListening,
+        onPointerLeave: stopListening,
+        onKeyDown: (e) =>
+          (e.key === " " || e.key === "Enter") && !e.repeat && startListening(),
+        onKeyUp: (e) => (e.key === " " || e.key === "Enter") && stopListening(),
+      }
+    : { onClick: listening ? stopListening : startListening };
+
+  return (
+    <div className="relative flex items-end space-x-2">
+      {canListen && (
+        <button
+          {...micHandlers}
+          disabled={disabled && !listening}
+          className={`text-white p-4 rounded-2xl transition-all duration-200 flex items-center justify-center shadow-lg disabled:opacity-40 disabled:cursor-not-allowed select-none touch-none ${
+            listening
+              ? "bg-red-500 animate-pulse"
+              : "bg-white/10 hover:bg-white/20 border border-white/20"
+          }`}
+          aria-label={
+            settings.pushToTalk ? "Hold to talk" : listening ? "Stop" : "Talk"
+          }
+          aria-pressed={listening}
+          title={settings.pushToTalk ? "Hold to talk" : "Click to talk"}
+        >
+          <FiMic className="text-2xl" />
+        </button>
+      )}
+
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 mb-3 hover:bg-white/10 rounded-lg text-white transition-colors"
+        aria-label="Voice settings"
+        aria-expanded={open}
+      >
+        <FiSliders className="text-xl" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 bottom-full mb-2 w-80 bg-indigo-950/95 backdrop-blur-sm border border-white/10 rounded-xl p-4 z-[1000] space-y-3 text-white">
+          <label className="flex items-center justify-between cursor-pointer">
+            <span>Read replies aloud</span>
+            <input
+              type="checkbox"
+              checked={settings.speakReplies}
+              disabled={!canSpeak()}
+              onChange={(e) => update({ speakReplies: e.target.checked })}
+              className="w-5 h-5 accent-blue-500"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-blue-200">Voice</span>
+            <select
+              value={settings.voiceURI}
+              onChange={(e) => update({ voiceURI: e.target.value })}
+              className="mt-1 w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white"
+            >
+              <option value="" className="text-gray-900">
+                Browser default
+              </option>
+              {voices.map((voice) => (
+                <option
+                  key={voice.voiceURI}
+                  value={voice.voiceURI}
+                  className="text-gray-900"
+                >
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-blue-200">
+              Speed · {settings.rate.toFixed(1)}×
+            </span>
+            <input
+              type="range"
+              min="0.5"
+              max="2"
+              step="0.1"
+              value={settings.rate}
+              onChange={(e) => update({ rate: Number(e.target.value) })}
+              className="mt-1 w-full accent-blue-500"
+            />
+          </label>
+
+          {canListen ? (
+            <>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span>Push to talk</span>
+                <input
+                  type="checkbox"
+                  checked={settings.pushToTalk}
+                  onChange={(e) => update({ pushToTalk: e.target.checked })}
+                  className="w-5 h-5 accent-blue-500"
+                />
+              </label>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span>Send when I stop talking</span>
+                <input
+                  type="checkbox"
+                  checked={settings.autoSend}
+                  onChange={(e) => update({ autoSend: e.target.checked })}
+                  className="w-5 h-5 accent-blue-500"
+                />
+              </label>
+            </>
+          ) : (
+            <p className="text-sm text-blue-200">
+              This browser can't recognize speech, so the microphone is hidden.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceControls;
@@ -0,0 +1,7 @@
+export async function register() {
+  // Lets lib/clientIdentity see the address each request came from
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { recordPeerAddresses } = await import("@/lib/peerAddress");
+    recordPeerAddresses();
+  }
+}
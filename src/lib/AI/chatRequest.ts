@@ -0,0 +1,101 @@
+// The body POSTed to /api/chat. Everything in it comes from the browser, so
+// it is checked strictly before any of it reaches the paid model. Client
+// system messages are dropped, since only the server writes the system
+// prompt, and so are UI fields such as `timestamp` and `author`. A valid `id`
+// is kept only so the context builder can find its summary bookmark. Only
+// role and content are ever sent upstream.
+
+// Kept in line with what a saved conversation holds
+export const MAX_MESSAGES = 200;
+export const MAX_QUESTION_LENGTH = 4000;
+// Room for the longest replies the model is allowed to write
+export const MAX_REPLY_LENGTH = 24000;
+
+const ROLES = ["user", "assistant", "system"];
+
+export type ChatRequest = {
+  messages: {
+    role: "user" | "assistant";
+    content: string;
+    id?: string | number;
+  }[];
+  conversationId: string | null;
+  personaId: string | null;
+  stream: boolean;
+};
+
+function optionalString(value: any, field: string) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") throw new Error(`${field} must be a string`);
+  return value;
+}
+
+const isMessageId = (id: any) =>
+  Number.isFinite(id) || (typeof id === "string" && id.length <= 64);
+
+// Throws with a message fit for a 400 response
+export function parseChatRequest(payload: any): ChatRequest {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new Error("The request body must be a JSON object");
+  }
+  if (!Array.isArray(payload.messages) || !payload.messages.length) {
+    throw new Error("No messages provided");
+  }
+  if (payload.messages.length > MAX_MESSAGES) {
+    throw new Error(`At most ${MAX_MESSAGES} messages can be sent`);
+  }
+
+  const messages = payload.messages.map((message: any, index: number) => {
+    if (!message || typeof message !== "object") {
+      throw new Error(`Message ${index + 1} must be an object`);
+    }
+    if (!ROLES.includes(message.role)) {
+      throw new Error(`Message ${index + 1} has an unknown role`);
+    }
+    if (typeof message.content !== "string") {
+      throw new Error(`Message ${index + 1} must have text content`);
+    }
+
+    return {
+      role: message.role,
+      content: message.content,
+      ...(isMessageId(message.id) ? { id: message.id } : {}),
+    };
+  });
+
+  const chatMessages = messages.filter(
+    (message: any) => message.role !== "system"
+  );
+  const latest = chatMessages[chatMessages.length - 1];
+  if (latest?.role !== "user" || !latest.content.trim()) {
+    throw new Error("The last message must be a question");
+  }
+  if (latest.content.length > MAX_QUESTION_LENGTH) {
+    throw new Error(
+      `The question is longer than ${MAX_QUESTION_LENGTH} characters`
+    );
+  }
+  if (payload.stream !== undefined && typeof payload.stream !== "boolean") {
+    throw new Error("stream must be true or false");
+  }
+
+  return {
+    // Only the question being asked is held to its limit. Older messages (a
+    // long reply, one saved before the limits) are cut instead, so one of
+    // them can't block every later turn.
+    messages: chatMessages.map((message: any) =>
+      message === latest
+        ? message
+        : {
+            ...message,
+            content: message.content.slice(
+              0,
+              message.role === "user" ? MAX_QUESTION_LENGTH : MAX_REPLY_LENGTH
+            ),
+          }
+    ),
+    conversationId: optionalString(payload.conversationId, "conversationId"),
+    personaId: optionalString(payload.personaId, "personaId"),
+    stream: Boolean(payload.stream),
+  };
+}
@@ -0,0 +1,203 @@
+import { createHash } from "crypto";
+import { fetchWithRotatedKey } from "./fetchWithRotatedKey";
+import { getConversation, saveSummary } from "@/lib/conversations";
+import { redis } from "@/lib/redis";
+
+// Builds the prompt sent upstream: the system prompt, a running summary of
+// older turns, and as many recent messages as fit in CONTEXT_TOKEN_BUDGET.
+// Turns that no longer fit are folded into the summary by the model itself.
+
+// Per-message overhead for role and formatting tokens
+const MESSAGE_OVERHEAD = 4;
+
+// Longest summary the model may write
+const SUMMARY_MAX_TOKENS = 300;
+
+// Without a saved conversation the summary is cached per visitor, with a
+// digest of the turns it covers so it is only reused for the same history
+const SUMMARY_CACHE_SECONDS = 24 * 3600;
+const summaryCacheKey = (owner: string) => `ContextSummary:${owner}`;
+
+type SummaryBookmark = {
+  summary: string;
+  untilId: number | string;
+  digest?: string;
+};
+
+function digest(messages: { role: string; content: string }[]) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify(messages.map(({ role, content }) => [role, content]))
+    )
+    .digest("hex");
+}
+
+export function contextBudget() {
+  return Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000;
+}
+
+// Rough estimate (~4 characters per token for English) - close enough to
+// keep well inside the model's window without shipping a tokenizer
+export function estimateTokens(message: { content: string }) {
+  return Math.ceil(message.content.length / 4) + MESSAGE_OVERHEAD;
+}
+
+function summaryMessage(summary: string) {
+  return {
+    role: "system",
+    content: `Summary of the earlier part of this conversation:\n${summary}`,
+  };
+}
+
+// Splits `messages` into the newest ones that fit in `budget` and the older
+// overflow. The latest message is always kept, even if it alone is too big.
+export function fitToBudget(messages: any[], budget: number) {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1]);
+    if (start < messages.length && used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  return { overflow: messages.slice(0, start), recent: messages.slice(start) };
+}
+
+// The summary call gets at most one context budget of turns: the newest
+// ones that fit, each cut to fit on its own. Older ones are dropped.
+export async function summarize(
+  previousSummary: string,
+  turns: any[],
+  model?: string | null,
+  signal?: AbortSignal
+) {
+  const budget = contextBudget();
+  const transcript = fitToBudget(turns, budget)
+    .recent.map(
+      (message) =>
+        `${message.role.toUpperCase()}: ${message.content.slice(0, budget * 4)}`
+    )
+    .join("\n\n");
+
+  const data = await fetchWithRotatedKey({
+    messages: [
+      {
+        role: "system",
+        content:
+          "You maintain a running summary of a chat between a student audience and an AI assistant. " +
+          "Merge the existing summary with the new turns into one short paragraph (max 120 words). " +
+          "Keep names, questions asked, key facts and anything the assistant promised. Reply with the summary only.",
+      },
+      {
+        role: "user",
+        content: `Existing summary:\n${
+          previousSummary || "(none)"
+        }\n\nNew turns:\n${transcript}`,
+      },
+    ],
+    maxTokens: SUMMARY_MAX_TOKENS,
+    model,
+    signal,
+  });
+
+  return data.content?.trim() || previousSummary;
+}
+
+export async function buildContext({
+  systemPrompt,
+  messages,
+  owner,
+  conversationId,
+  model,
+  signal,
+}: {
+  systemPrompt: { role: string; content: string };
+  messages: any[];
+  owner: string;
+  conversationId?: string | null;
+  model?: string | null;
+  signal?: AbortSignal;
+}) {
+  const chatMessages = messages.map(({ role, content }) => ({ role, content }));
+
+  // Resume from the summary stored with the conversation (or cached for the
+  // visitor), as long as the message it stopped at is still in the history
+  const conversation = conversationId
+    ? await getConversation(owner, conversationId)
+    : null;
+  let bookmark: SummaryBookmark | null = null;
+  if (!conversation) {
+    bookmark = await redis.get<SummaryBookmark>(summaryCacheKey(owner));
+  } else if (conversation.summaryUntilId !== undefined) {
+    bookmark = {
+      summary: conversation.summary || "",
+      untilId: conversation.summaryUntilId,
+    };
+  }
+  let summary = "";
+  let pending = chatMessages;
+  const untilIndex = bookmark
+    ? messages.findIndex((message) => message.id === bookmark.untilId)
+    : -1;
+  if (
+    untilIndex !== -1 &&
+    (!bookmark?.digest ||
+      bookmark.digest === digest(chatMessages.slice(0, untilIndex + 1)))
+  ) {
+    summary = bookmark?.summary || "";
+    pending = chatMessages.slice(untilIndex + 1);
+  }
+
+  const budget =
+    contextBudget() -
+    estimateTokens(systemPrompt) -
+    (summary ? estimateTokens(summaryMessage(summary)) : 0);
+  let { overflow, recent } = fitToBudget(pending, budget);
+
+  // A new summary may be longer than the old one. Leaving room for the
+  // longest one keeps the next request from overflowing again.
+  if (overflow.length) {
+    ({ overflow, recent } = fitToBudget(
+      pending,
+      contextBudget() -
+        estimateTokens(systemPrompt) -
+        estimateTokens(summaryMessage("")) -
+        SUMMARY_MAX_TOKENS
+    ));
+  }
+
+  if (overflow.length) {
+    try {
+      summary = await summarize(summary, overflow, model, signal);
+
+      const foldedCount = messages.length - pending.length + overflow.length;
+      const untilId = messages[foldedCount - 1].id;
+      if (conversation) {
+        await saveSummary(owner, conversation.id, { summary, untilId });
+      } else if (untilId !== undefined) {
+        await redis.set(
+          summaryCacheKey(owner),
+          {
+            summary,
+            untilId,
+            digest: digest(chatMessages.slice(0, foldedCount)),
+          },
+          { ex: SUMMARY_CACHE_SECONDS }
+        );
+      }
+    } catch (error) {
+      // Nobody is waiting for a cancelled request
+      if (signal?.aborted) throw error;
+      // Losing the oldest turns beats failing the whole request
+      console.warn("Could not summarize older turns", error);
+    }
+  }
+
+  return [
+    systemPrompt,
+    ...(summary ? [summaryMessage(summary)] : []),
+    ...recent,
+  ];
+}
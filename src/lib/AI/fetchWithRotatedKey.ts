@@ -1,47 +1,83 @@
-import axios from "axios";
-import { keys } from "./getRotatedKey";
-
-// Fisher-Yates shuffle
-function shuffle(array: any) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
-}
+import { getKeys } from "./getRotatedKey";
+import {
+  isKeyFailure,
+  orderKeysByHealth,
+  recordFailure,
+  recordSuccess,
+} from "./keyHealth";
+import { ProviderError, getProvider } from "./providers";
+
+// Resolves to { content, toolCalls, model, usage } from the configured
+// provider, or, with `stream`, to an async iterable of content deltas ending
+// with { toolCalls } when the model called any of `tools`. Aborting `signal`
+// cancels the upstream request.
 export async function fetchWithRotatedKey({
   messages,
   maxTokens,
+  model,
+  stream = false,
+  tools,
+  signal,
 }: {
   messages: any;
-  maxTokens: number;
+  maxTokens?: number;
+  model?: string | null;
+  stream?: boolean;
+  tools?: any[];
+  signal?: AbortSignal;
 }) {
-  const shuffledKeys = shuffle([...keys]); // copy + shuffle
+  const provider = getProvider();
+  const options = {
+    model: model || process.env.AI_MODEL,
+    messages,
+    maxTokens: maxTokens || 5000,
+    tools,
+    signal,
+  };
+
+  const keys = await getKeys();
+
+  // Local and mock providers work without a key when none are configured
+  if (!keys.length) {
+    if (provider.requiresKey) {
+      throw new Error(`No API keys configured for ${provider.name}.`);
+    }
+    return stream
+      ? provider.stream(options, null)
+      : provider.complete(options, null);
+  }
 
-  for (const key of shuffledKeys) {
+  const usableKeys = orderKeysByHealth(keys);
+  if (!usableKeys.length) {
+    throw new ProviderError(
+      "All keys are cooling down. Please try again later."
+    );
+  }
+
+  for (const key of usableKeys) {
     try {
-      const response = await axios.post(
-        "https://openrouter.ai/api/v1/chat/completions",
-        {
-          model: process.env.AI_MODEL,
-          messages: messages,
-          maxTokens: maxTokens || 5000,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${key}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-
-      return response.data; // success!
+      const result = stream
+        ? await provider.stream(options, key)
+        : await provider.complete(options, key);
+      recordSuccess(key);
+
+      return result; // success!
     } catch (err: any) {
-      console.warn(`Key failed: ${key}, retrying...`, err.message);
+      // A cancelled request says nothing about the key
+      if (signal?.aborted) throw err;
+
+      const status = err.status ?? null;
+
+      // A malformed request fails the same way on every key, and an outage
+      // is left to the caller's retry with backoff (see lib/chatErrors)
+      if (!isKeyFailure(status)) throw err;
+
+      recordFailure(key, { status, retryAfter: err.retryAfter ?? null });
+      console.warn(`Key failed on ${provider.name}, retrying...`, err.message);
 
       continue;
     }
   }
 
-  throw new Error("All keys failed. Please try again later.");
+  throw new ProviderError("All keys failed. Please try again later.");
 }
@@ -1,13 +1,27 @@
-export const keys = [
+import { getStoredKeys } from "./keyStore";
+
+// Fallback when no keys have been added through the admin API
+export const envKeys = [
   process.env.AI_API_KEY_1,
   process.env.AI_API_KEY_2,
   process.env.AI_API_KEY_3,
   process.env.AI_API_KEY_4,
   process.env.AI_API_KEY_5,
   process.env.AI_API_KEY_6,
-].filter(Boolean);
+].filter(Boolean) as string[];
+
+export async function getKeys() {
+  try {
+    const stored = await getStoredKeys();
+    if (stored.length) return stored;
+  } catch (err: any) {
+    console.warn("Key store unavailable, using env keys", err.message);
+  }
+  return envKeys;
+}
 
-export function getRotatedKey() {
+export async function getRotatedKey() {
+  const keys = await getKeys();
   const randomIndex = Math.floor(Math.random() * keys.length);
   return keys[randomIndex];
 }
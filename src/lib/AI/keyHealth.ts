@@ -0,0 +1,146 @@
+import { createHash } from "crypto";
+
+// Per-key health for the rotated key pool. State lives in memory, so each
+// server instance learns about bad keys on its own.
+
+// Default cooldowns when the provider sends no Retry-After
+const COOLDOWN_SECONDS: Record<number, number> = {
+  401: 10 * 60, // revoked or invalid key
+  402: 10 * 60, // out of credits
+  403: 10 * 60,
+  429: 60, // rate limited
+};
+
+// Consecutive failures before the circuit opens and the key is benched
+const FAILURE_THRESHOLD = 3;
+const CIRCUIT_OPEN_SECONDS = 15 * 60;
+
+type KeyHealth = {
+  consecutiveFailures: number;
+  cooldownUntil: number;
+  circuitOpenUntil: number;
+  lastStatus: number | null;
+  lastUsedAt: number | null;
+};
+
+// Kept on globalThis so every route bundle (and dev hot reloads) share it
+const health: Map<string, KeyHealth> = ((globalThis as any).__novaKeyHealth ??=
+  new Map());
+
+// Stable, non-reversible id for a key, safe to log and return from APIs
+export function fingerprint(key: string) {
+  return createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+function getHealth(key: string) {
+  const id = fingerprint(key);
+  let entry = health.get(id);
+  if (!entry) {
+    entry = {
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      circuitOpenUntil: 0,
+      lastStatus: null,
+      lastUsedAt: null,
+    };
+    health.set(id, entry);
+  }
+  return entry;
+}
+
+function getState(entry: KeyHealth, now = Date.now()) {
+  if (entry.circuitOpenUntil > now) return "dead";
+  if (entry.cooldownUntil > now) return "cooling_down";
+  return "healthy";
+}
+
+// Statuses that say something about the key rather than the request.
+// Network errors and 5xx are outages: they would bench every key at once
+// and keep the app down after the provider recovers.
+export function isKeyFailure(status: number | null) {
+  return status !== null && status in COOLDOWN_SECONDS;
+}
+
+export function recordSuccess(key: string) {
+  const entry = getHealth(key);
+  entry.consecutiveFailures = 0;
+  entry.cooldownUntil = 0;
+  entry.circuitOpenUntil = 0;
+  entry.lastStatus = 200;
+  entry.lastUsedAt = Date.now();
+}
+
+export function recordFailure(
+  key: string,
+  {
+    status = null,
+    retryAfter = null,
+  }: { status?: number | null; retryAfter?: number | null } = {}
+) {
+  const now = Date.now();
+  const entry = getHealth(key);
+  entry.consecutiveFailures += 1;
+  entry.lastStatus = status;
+  entry.lastUsedAt = now;
+
+  const cooldown = retryAfter ?? (status ? COOLDOWN_SECONDS[status] : null);
+  if (cooldown) {
+    entry.cooldownUntil = now + cooldown * 1000;
+  }
+
+  // Once open, a single failed trial after the timeout re-opens the circuit
+  if (entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+    entry.circuitOpenUntil = now + CIRCUIT_OPEN_SECONDS * 1000;
+  }
+}
+
+// Fisher-Yates shuffle
+function shuffle(array: any) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Usable keys in the order they should be tried: keys with a clean record
+// first (shuffled to spread load), then keys on probation after a failure
+export function orderKeysByHealth(keys: string[]) {
+  const now = Date.now();
+  return shuffle(
+    keys.filter((key) => getState(getHealth(key), now) === "healthy")
+  ).sort(
+    (a: string, b: string) =>
+      getHealth(a).consecutiveFailures - getHealth(b).consecutiveFailures
+  );
+}
+
+export function getPoolStatus(keys: string[]) {
+  const now = Date.now();
+  const entries = keys.map((key) => {
+    const entry = getHealth(key);
+    const state = getState(entry, now);
+    const availableAt = Math.max(entry.cooldownUntil, entry.circuitOpenUntil);
+
+    return {
+      id: fingerprint(key),
+      state,
+      consecutiveFailures: entry.consecutiveFailures,
+      lastStatus: entry.lastStatus,
+      lastUsedAt: entry.lastUsedAt
+        ? new Date(entry.lastUsedAt).toISOString()
+        : null,
+      availableInSeconds:
+        state === "healthy" ? 0 : Math.ceil((availableAt - now) / 1000),
+    };
+  });
+
+  return {
+    total: entries.length,
+    healthy: entries.filter((entry) => entry.state === "healthy").length,
+    coolingDown: entries.filter((entry) => entry.state === "cooling_down")
+      .length,
+    dead: entries.filter((entry) => entry.state === "dead").length,
+    keys: entries,
+  };
+}
@@ -0,0 +1,139 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+} from "crypto";
+import { redis } from "@/lib/redis";
+import { fingerprint } from "./keyHealth";
+
+// Provider keys managed at runtime through /api/admin/keys. Each key is
+// stored AES-256-GCM encrypted under KEY_STORE_SECRET in one Redis hash.
+const STORE_KEY = "AIKeys";
+const CACHE_MS = 15 * 1000;
+
+type StoredKey = {
+  id: string;
+  label: string;
+  enabled: boolean;
+  fingerprint: string;
+  secret: string; // encrypted "iv.tag.ciphertext", base64
+  createdAt: string;
+  updatedAt: string;
+};
+
+let cache: { keys: string[]; expiresAt: number } | null = null;
+
+export function isKeyStoreConfigured() {
+  return Boolean(process.env.KEY_STORE_SECRET);
+}
+
+function masterKey() {
+  if (!process.env.KEY_STORE_SECRET) {
+    throw new Error("KEY_STORE_SECRET is not configured");
+  }
+  return createHash("sha256").update(process.env.KEY_STORE_SECRET).digest();
+}
+
+function encrypt(plain: string) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", masterKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plain, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(".");
+}
+
+function decrypt(encrypted: string) {
+  const [iv, tag, ciphertext] = encrypted
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = createDecipheriv("aes-256-gcm", masterKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// Never expose the encrypted secret either
+function toPublic({ secret, ...key }: StoredKey) {
+  return key;
+}
+
+async function readAll(): Promise<StoredKey[]> {
+  const all = (await redis.hgetall<Record<string, StoredKey>>(STORE_KEY)) || {};
+  return Object.values(all).sort((a, b) =>
+    a.createdAt.localeCompare(b.createdAt)
+  );
+}
+
+async function write(key: StoredKey) {
+  await redis.hset(STORE_KEY, { [key.id]: key });
+  cache = null;
+}
+
+export async function listKeys() {
+  return (await readAll()).map(toPublic);
+}
+
+export async function addKey({ key, label }: { key: string; label?: string }) {
+  const now = new Date().toISOString();
+  const stored: StoredKey = {
+    id: randomBytes(6).toString("hex"),
+    label: label || `Key ${fingerprint(key)}`,
+    enabled: true,
+    fingerprint: fingerprint(key),
+    secret: encrypt(key),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await write(stored);
+  return toPublic(stored);
+}
+
+export async function updateKey(
+  id: string,
+  { label, enabled }: { label?: string; enabled?: boolean }
+) {
+  const existing = await redis.hget<StoredKey>(STORE_KEY, id);
+  if (!existing) return null;
+
+  const updated: StoredKey = {
+    ...existing,
+    ...(typeof label === "string" ? { label } : {}),
+    ...(typeof enabled === "boolean" ? { enabled } : {}),
+    updatedAt: new Date().toISOString(),
+  };
+  await write(updated);
+  return toPublic(updated);
+}
+
+export async function removeKey(id: string) {
+  const removed = await redis.hdel(STORE_KEY, id);
+  cache = null;
+  return removed > 0;
+}
+
+// Decrypted secrets of every enabled key, cached briefly so the chat route
+// doesn't hit Redis on every request
+export async function getStoredKeys() {
+  if (!isKeyStoreConfigured()) return [];
+  if (cache && cache.expiresAt > Date.now()) return cache.keys;
+
+  const keys = [];
+  for (const key of await readAll()) {
+    if (!key.enabled) continue;
+    try {
+      keys.push(decrypt(key.secret));
+    } catch {
+      console.warn(`Could not decrypt stored key ${key.id}, skipping`);
+    }
+  }
+
+  cache = { keys, expiresAt: Date.now() + CACHE_MS };
+  return keys;
+}
@@ -0,0 +1,31 @@
+// Normalized failure from any provider adapter, so callers never have to
+// know whether the request went through axios, fetch or the mock.
+export class ProviderError extends Error {
+  status: number | null;
+  retryAfter: number | null;
+
+  constructor(
+    message: string,
+    {
+      status = null,
+      retryAfter = null,
+    }: { status?: number | null; retryAfter?: number | null } = {}
+  ) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value: any) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
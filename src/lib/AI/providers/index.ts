@@ -0,0 +1,46 @@
+import { isOfflineMode } from "@/lib/offline";
+import { createMockProvider } from "./mock";
+import { createOpenAICompatibleProvider } from "./openaiCompatible";
+import { createOpenRouterProvider } from "./openrouter";
+
+export { ProviderError } from "./ProviderError";
+
+// AI_PROVIDER selects the adapter:
+//   openrouter (default)  - https://openrouter.ai, needs AI_API_KEY_*
+//   openai-compatible     - any OpenAI-style server at AI_BASE_URL,
+//                           e.g. http://localhost:11434/v1 for Ollama
+//   mock                  - scripted offline replies, no network; always
+//                           used with OFFLINE_MODE
+const factories: Record<string, () => any> = {
+  openrouter: createOpenRouterProvider,
+  "openai-compatible": () => {
+    if (!process.env.AI_BASE_URL) {
+      throw new Error(
+        "AI_BASE_URL is required for the openai-compatible provider"
+      );
+    }
+    return createOpenAICompatibleProvider({
+      name: "openai-compatible",
+      baseURL: process.env.AI_BASE_URL,
+    });
+  },
+  mock: createMockProvider,
+};
+
+let cached: { id: string; provider: any } | null = null;
+
+export function getProvider() {
+  const id = isOfflineMode()
+    ? "mock"
+    : (process.env.AI_PROVIDER || "openrouter").toLowerCase();
+
+  if (cached?.id !== id) {
+    const factory = factories[id];
+    if (!factory) {
+      throw new Error(`Unknown AI_PROVIDER "${id}"`);
+    }
+    cached = { id, provider: factory() };
+  }
+
+  return cached.provider;
+}
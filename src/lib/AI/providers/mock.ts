@@ -0,0 +1,155 @@
+import { matchDemoAnswer } from "@/lib/demoPack";
+import { rcCar } from "@/lib/personas/rcCar";
+import { ProviderError } from "./ProviderError";
+
+// Offline provider: answers without any network or API key, and always the
+// same way for the same input, so key rotation, rate limits and error paths
+// can be exercised offline.
+//
+// Nova's example prompts get her scripted demo answers; anything else is
+// echoed back. A failure is simulated when the last user message contains
+// "[mock:<scenario>]", or else for every request made with a key named
+// "mock-<scenario>" (e.g. AI_API_KEY_1=mock-429 to watch it rotate):
+//   401, 429, 500 ...  the upstream rejects the request with that status
+//   timeout            no answer within MOCK_TIMEOUT_MS (default 3000)
+//   empty              a completion with empty choices
+//   stream-error       the stream breaks halfway through the reply
+//
+// When tools are offered, a question with arithmetic in it ("what is
+// 12 * 7?") calls the calculator, and the answer quotes its result.
+const ARITHMETIC = /\(?\d+(?:\.\d+)?(?:\s*[-+*/^]\s*\(?\d+(?:\.\d+)?\)?)+/;
+const SCENARIO_TAG = /\[mock:([\w-]+)\]/i;
+const SCENARIO_KEY = /^mock-([\w-]+)$/i;
+
+function lastQuestion(messages: any[]) {
+  return (
+    [...messages].reverse().find((message) => message.role === "user")
+      ?.content || ""
+  );
+}
+
+function scenarioFor(messages: any[], key: string | null) {
+  const fromKey = key?.match(SCENARIO_KEY)?.[1];
+  const fromPrompt = lastQuestion(messages).match(SCENARIO_TAG)?.[1];
+  return (fromPrompt || fromKey || "").toLowerCase() || null;
+}
+
+// The calculator call for the question, unless its result is already in
+function mockToolCalls(options: any) {
+  const hasCalculator = options.tools?.some(
+    (tool: any) => tool.function?.name === "calculator"
+  );
+  const { messages } = options;
+  const expression = lastQuestion(messages).match(ARITHMETIC)?.[0];
+  if (
+    !hasCalculator ||
+    !expression ||
+    messages[messages.length - 1]?.role === "tool"
+  ) {
+    return [];
+  }
+  return [
+    {
+      id: "call_mock",
+      name: "calculator",
+      arguments: JSON.stringify({ expression }),
+    },
+  ];
+}
+
+// Cites the first knowledge-base passage when the prompt quotes one, so the
+// sources list can be tried offline
+function mockReply(messages: any[]) {
+  const question = lastQuestion(messages).replace(SCENARIO_TAG, "").trim();
+  const scripted = matchDemoAnswer(question, rcCar.demoAnswers || []);
+  if (scripted) return scripted.entry.answer;
+
+  const last = messages[messages.length - 1];
+  if (last?.role === "tool") {
+    return `🏁 Mock Nova here! The tool says: ${last.content}`;
+  }
+
+  const citation = messages[0]?.content?.includes("\n\n[1] ") ? " [1]" : "";
+  return `🏁 Mock Nova here! You asked: "${question}". I'm running without a real model, so this is a placeholder answer.${citation}`;
+}
+
+// Rejects early when the request is cancelled, like a real upstream would
+function sleep(ms: number, signal?: AbortSignal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ProviderError("canceled"));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ProviderError("canceled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(undefined);
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Throws the error a real upstream would produce for the scenario
+async function simulateFailure(scenario: string | null, signal?: AbortSignal) {
+  if (!scenario) return;
+
+  if (/^\d{3}$/.test(scenario)) {
+    const status = Number(scenario);
+    throw new ProviderError(`Request failed with status code ${status}`, {
+      status,
+      retryAfter: status === 429 ? 30 : null,
+    });
+  }
+
+  if (scenario === "timeout") {
+    const timeout = Number(process.env.MOCK_TIMEOUT_MS) || 3000;
+    await sleep(timeout, signal);
+    throw new ProviderError(`timeout of ${timeout}ms exceeded`);
+  }
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    requiresKey: false,
+
+    async complete(options: any, key: string | null) {
+      const scenario = scenarioFor(options.messages, key);
+      await simulateFailure(scenario, options.signal);
+
+      const toolCalls = mockToolCalls(options);
+      return {
+        content:
+          scenario === "empty" || toolCalls.length
+            ? ""
+            : mockReply(options.messages),
+        toolCalls,
+        model: "mock",
+        usage: null,
+      };
+    },
+
+    async stream(options: any, key: string | null) {
+      const scenario = scenarioFor(options.messages, key);
+      await simulateFailure(scenario, options.signal);
+
+      const toolCalls = mockToolCalls(options);
+      const words =
+        scenario === "empty" || toolCalls.length
+          ? []
+          : mockReply(options.messages).split(/(?<= )/);
+      return (async function* () {
+        if (toolCalls.length) yield { toolCalls };
+
+        for (const [index, word] of words.entries()) {
+          if (scenario === "stream-error" && index === words.length >> 1) {
+            throw new ProviderError("Mock stream interrupted");
+          }
+          await sleep(30, options.signal);
+          yield word;
+        }
+      })();
+    },
+  };
+}
@@ -0,0 +1,135 @@
+import axios from "axios";
+import { readSSE } from "../sse";
+import { ProviderError, parseRetryAfter } from "./ProviderError";
+
+function toProviderError(err: any) {
+  if (err instanceof ProviderError) return err;
+
+  const status = err.response?.status ?? null;
+  return new ProviderError(err.message, {
+    status,
+    retryAfter: parseRetryAfter(err.response?.headers?.["retry-after"]),
+  });
+}
+
+// Tool calls in the adapters' shape: { id, name, arguments (a JSON string) }
+function toToolCalls(calls: any[] | undefined) {
+  return (calls || [])
+    .filter((call) => call?.function?.name)
+    .map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function.name,
+      arguments: call.function.arguments || "",
+    }));
+}
+
+// Adapter for any server speaking the OpenAI chat completions API:
+// OpenRouter, llama.cpp's server, Ollama, LM Studio, vLLM...
+export function createOpenAICompatibleProvider({
+  name,
+  baseURL,
+  requiresKey = false,
+  headers = {},
+}: {
+  name: string;
+  baseURL: string;
+  requiresKey?: boolean;
+  headers?: Record<string, string>;
+}) {
+  const url = `${baseURL.replace(/\/+$/, "")}/chat/completions`;
+
+  function post(options: any, key: string | null, stream: boolean) {
+    return axios.post(
+      url,
+      {
+        model: options.model,
+        messages: options.messages,
+        max_tokens: options.maxTokens,
+        ...(options.tools ? { tools: options.tools, tool_choice: "auto" } : {}),
+        stream,
+      },
+      {
+        headers: {
+          ...headers,
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+          "Content-Type": "application/json",
+        },
+        // Streamed completions come back as a Node stream of SSE chunks
+        responseType: stream ? "stream" : "json",
+        signal: options.signal,
+      }
+    );
+  }
+
+  return {
+    name,
+    requiresKey,
+
+    async complete(options: any, key: string | null) {
+      let response;
+      try {
+        response = await post(options, key, false);
+      } catch (err: any) {
+        throw toProviderError(err);
+      }
+
+      const data = response.data;
+      const message = data?.choices?.[0]?.message;
+      return {
+        content: message?.content || "",
+        toolCalls: toToolCalls(message?.tool_calls),
+        model: data?.model || options.model,
+        usage: data?.usage || null,
+      };
+    },
+
+    // Resolves once the upstream accepted the request, so a bad key fails
+    // here (and can be rotated) rather than halfway through the reply.
+    // Yields content deltas, then { toolCalls } if the model called tools.
+    async stream(options: any, key: string | null) {
+      let response: any;
+      try {
+        response = await post(options, key, true);
+      } catch (err: any) {
+        throw toProviderError(err);
+      }
+
+      const upstream = response.data;
+      return (async function* () {
+        // Tool calls arrive in pieces: the id and name first, then the
+        // arguments a few characters at a time
+        const calls: any[] = [];
+        try {
+          for await (const data of readSSE(upstream)) {
+            if (data === "[DONE]") break;
+
+            let chunk;
+            try {
+              chunk = JSON.parse(data);
+            } catch {
+              continue;
+            }
+
+            const delta = chunk.choices?.[0]?.delta;
+            if (delta?.content) yield delta.content as string;
+
+            for (const part of delta?.tool_calls || []) {
+              const call = (calls[part.index ?? 0] ??= {
+                id: part.id,
+                function: { name: "", arguments: "" },
+              });
+              call.id ||= part.id;
+              call.function.name += part.function?.name || "";
+              call.function.arguments += part.function?.arguments || "";
+            }
+          }
+
+          const toolCalls = toToolCalls(calls);
+          if (toolCalls.length) yield { toolCalls };
+        } finally {
+          upstream.destroy?.();
+        }
+      })();
+    },
+  };
+}
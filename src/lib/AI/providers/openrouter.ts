@@ -0,0 +1,16 @@
+import { createOpenAICompatibleProvider } from "./openaiCompatible";
+
+export function createOpenRouterProvider() {
+  return createOpenAICompatibleProvider({
+    name: "openrouter",
+    baseURL: "https://openrouter.ai/api/v1",
+    requiresKey: true,
+    headers: {
+      // Optional attribution headers shown on the OpenRouter dashboard
+      ...(process.env.AI_APP_URL
+        ? { "HTTP-Referer": process.env.AI_APP_URL }
+        : {}),
+      "X-Title": "Nova AI",
+    },
+  });
+}
@@ -0,0 +1,62 @@
+const encoder = new TextEncoder();
+
+// Serializes one Server-Sent Event frame carrying a JSON payload
+export function encodeSSE(data: any) {
+  return encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Accepts a web ReadableStream, a Node stream or any async iterable of chunks
+async function* iterateChunks(source: any) {
+  if (source?.[Symbol.asyncIterator]) {
+    yield* source;
+    return;
+  }
+
+  const reader = source.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Yields the joined `data:` lines of every event in an SSE byte stream.
+// Comment lines (": keep-alive") and other fields are ignored.
+export async function* readSSE(source: any) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  function* takeEvents() {
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).replace(/^ /, ""))
+        .join("\n");
+
+      if (data) yield data;
+    }
+  }
+
+  for await (const chunk of iterateChunks(source)) {
+    buffer +=
+      typeof chunk === "string"
+        ? chunk
+        : decoder.decode(chunk, { stream: true });
+    // A trailing "\r" may be the first half of a "\r\n" split across
+    // chunks, so it waits for the next chunk before becoming "\n"
+    buffer = buffer.replace(/\r\n|\r(?!$)/g, "\n");
+    yield* takeEvents();
+  }
+
+  buffer = buffer.replace(/\r$/, "\n");
+  yield* takeEvents();
+}
@@ -0,0 +1,45 @@
+import { createHash, timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+import { readCookie, signValue, verifySignedValue } from "@/lib/session";
+
+export const ADMIN_COOKIE = "nova_admin";
+export const ADMIN_SESSION_SECONDS = 12 * 3600;
+
+function digest(value: string) {
+  return createHash("sha256").update(value).digest();
+}
+
+export function checkAdminPassword(candidate: any) {
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password || typeof candidate !== "string" || !candidate) return false;
+
+  return timingSafeEqual(digest(candidate), digest(password));
+}
+
+// Cookie issued by /api/admin/login: a signed "admin.<expiry>" token
+export function createAdminToken() {
+  return signValue(`admin.${Date.now() + ADMIN_SESSION_SECONDS * 1000}`);
+}
+
+// Admin routes accept the dashboard's login cookie or, for scripts,
+// `Authorization: Bearer <ADMIN_PASSWORD>`
+export async function isAdmin(request: Request) {
+  const header = request.headers.get("authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return checkAdminPassword(header.slice(7));
+  }
+
+  const value = await verifySignedValue(readCookie(request, ADMIN_COOKIE));
+  const [role, expiresAt] = (value || "").split(".");
+  return role === "admin" && Number(expiresAt) > Date.now();
+}
+
+// Returns a 401 response for non-admins, or null when the caller may proceed
+export async function requireAdmin(request: Request) {
+  if (await isAdmin(request)) return null;
+
+  return NextResponse.json(
+    { role: "error", content: "Admin access required" },
+    { status: 401 }
+  );
+}
@@ -0,0 +1,66 @@
+// Branches of a conversation. Editing a question or regenerating an answer
+// forks the chat at that user message. The fork keeps every version of the
+// chat from that point on, so earlier versions stay browsable.
+//
+// The fork's `branches` field holds one tail per version. The tail on screen
+// is the rest of the message list, and its slot is null.
+
+export type Branches = {
+  tails: (any[] | null)[];
+  active: number;
+};
+
+export const MAX_BRANCHES = 10;
+
+function stripBranches({ branches, ...message }: any) {
+  return message;
+}
+
+// Every version of the chat from `index` on, including the one on screen
+function tailsAt(messages: any[], index: number) {
+  const fork = messages[index];
+  const tail = [stripBranches(fork), ...messages.slice(index + 1)];
+  if (!fork.branches) return [tail];
+
+  return fork.branches.tails.map((stored: any[] | null, i: number) =>
+    i === fork.branches.active ? tail : stored
+  );
+}
+
+function showTail(
+  messages: any[],
+  index: number,
+  tails: any[][],
+  active: number
+) {
+  const [fork, ...rest] = tails[active];
+  return [
+    ...messages.slice(0, index),
+    {
+      ...fork,
+      branches: {
+        tails: tails.map((tail, i) => (i === active ? null : tail)),
+        active,
+      },
+    },
+    ...rest,
+  ];
+}
+
+// Replaces the chat from `index` on with `tail`, keeping the old version.
+// The oldest versions are dropped past MAX_BRANCHES.
+export function addBranch(messages: any[], index: number, tail: any[]) {
+  const tails = [...tailsAt(messages, index), tail].slice(-MAX_BRANCHES);
+  return showTail(messages, index, tails, tails.length - 1);
+}
+
+export function switchBranch(messages: any[], index: number, active: number) {
+  const tails = tailsAt(messages, index);
+  if (active < 0 || active >= tails.length) return messages;
+  return showTail(messages, index, tails, active);
+}
+
+// The visible chat without the stored versions, e.g. for the model
+export function withoutBranches(messages: any[]) {
+  return messages.map(stripBranches);
+}
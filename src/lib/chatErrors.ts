@@ -0,0 +1,117 @@
+// Errors from /api/chat, as a JSON body or an SSE error event:
+// { role: "error", code, content, retryAfter? }. The chat view uses the code
+// to decide whether to retry on its own, offer a Retry button, or offer demo
+// mode. The messages are shown to the audience as they are.
+
+export type ChatErrorCode =
+  | "bad_request"
+  | "ai_paused"
+  | "rate_limited"
+  | "quota_exceeded"
+  | "empty_reply"
+  | "upstream_error"
+  | "internal_error"
+  // Only raised in the browser: the server couldn't be reached
+  | "network_error";
+
+export type ChatError = {
+  role: "error";
+  code: ChatErrorCode;
+  content: string;
+  retryAfter?: number; // seconds
+};
+
+// `retry`: "auto" failures are transient and retried with backoff, "manual"
+// ones are worth retrying later, "none" won't change by retrying
+export const CHAT_ERRORS: Record<
+  ChatErrorCode,
+  { status: number; message: string; retry: "auto" | "manual" | "none" }
+> = {
+  bad_request: {
+    status: 400,
+    message: "No messages provided",
+    retry: "none",
+  },
+  ai_paused: {
+    status: 503,
+    message:
+      "Nova is taking a short pit stop. Please try again in a moment! 🛠️",
+    retry: "manual",
+  },
+  rate_limited: {
+    status: 429,
+    message: "Whoa, slow down! Try again in a few seconds.",
+    retry: "manual",
+  },
+  quota_exceeded: {
+    status: 429,
+    message: "AI usage limit reached. Get full access when we launch.",
+    retry: "none",
+  },
+  empty_reply: {
+    status: 502,
+    message: "No response received",
+    retry: "auto",
+  },
+  upstream_error: {
+    status: 502,
+    message: "The AI service isn't answering right now. Please try again.",
+    retry: "auto",
+  },
+  internal_error: {
+    status: 500,
+    message: "Some internal error occurred. Please try again later.",
+    retry: "auto",
+  },
+  network_error: {
+    status: 0,
+    message: "Can't reach the Nova server.",
+    retry: "auto",
+  },
+};
+
+export function chatError(
+  code: ChatErrorCode,
+  {
+    content = CHAT_ERRORS[code].message,
+    retryAfter,
+  }: { content?: string; retryAfter?: number } = {}
+): ChatError {
+  return {
+    role: "error",
+    code,
+    content,
+    ...(retryAfter ? { retryAfter } : {}),
+  };
+}
+
+// Reads an error body or event. A response without one (an older server, or
+// a proxy's error page when the app is down) is classified by its status.
+export function toChatError(data: any, status = 500): ChatError {
+  // Own keys only: "toString" or "constructor" are not error codes
+  if (data && Object.hasOwn(CHAT_ERRORS, data.code)) {
+    return chatError(data.code, {
+      content: typeof data.content === "string" ? data.content : undefined,
+      retryAfter: Number(data.retryAfter) || undefined,
+    });
+  }
+  if (typeof data?.content === "string") {
+    return chatError("internal_error", { content: data.content });
+  }
+  return chatError(status >= 500 ? "network_error" : "internal_error");
+}
+
+export const isTransient = (error: ChatError) =>
+  CHAT_ERRORS[error.code].retry === "auto";
+
+export const canRetry = (error: ChatError) =>
+  CHAT_ERRORS[error.code].retry !== "none";
+
+// Automatic retries before the error is shown
+export const MAX_AUTO_RETRIES = 2;
+
+// 1s, 2s, 4s... with jitter, so a room full of clients doesn't come back in
+// lockstep
+export function retryDelay(attempt: number) {
+  return 1000 * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
@@ -0,0 +1,80 @@
+import { peerAddressHeader } from "@/lib/peerAddress";
+import { SESSION_COOKIE, readCookie, verifySignedValue } from "@/lib/session";
+
+// Who a chat request is counted against:
+//   key      - the visitor: signed session cookie, else client IP
+//   poolKey  - whose daily quota it draws from: the visitor, or a
+//              classroom's shared pool when a valid classroom code is sent
+//   network  - the client IP, which caps how much new sessions can get
+export type ClientIdentity = {
+  key: string;
+  poolKey: string;
+  network: string;
+  classroom: string | null;
+  dailyLimit: number | null;
+};
+
+// Number of reverse proxies in front of the app that append to
+// X-Forwarded-For (1 for Vercel or a single nginx). Entries left of the ones
+// they added are client-controlled and ignored. Unset or 0 means clients
+// connect directly, and the header is ignored altogether.
+function trustedHops() {
+  const hops = Number(process.env.TRUSTED_PROXY_COUNT ?? 0);
+  return Number.isInteger(hops) && hops >= 0 ? hops : 0;
+}
+
+export function getIP(req: Request) {
+  // A proxy that sets a dedicated header, e.g. cf-connecting-ip
+  const header = process.env.TRUSTED_PROXY_HEADER;
+  if (header) {
+    const value = req.headers.get(header);
+    if (value) return value.trim();
+  }
+
+  const hops = trustedHops();
+  if (!hops) {
+    const peer = peerAddressHeader();
+    return (peer && req.headers.get(peer)) || "unknown";
+  }
+
+  const forwarded = (req.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return forwarded[Math.max(0, forwarded.length - hops)] || "unknown";
+}
+
+// CLASSROOM_CODES="ROBOTICS24:500,SPACECAMP" - optional per-code daily pool,
+// defaulting to CLASSROOM_DAILY_LIMIT (500)
+export function getClassrooms() {
+  const defaultLimit = Number(process.env.CLASSROOM_DAILY_LIMIT) || 500;
+  const classrooms = new Map<string, number>();
+
+  for (const entry of (process.env.CLASSROOM_CODES || "").split(",")) {
+    const [code, limit] = entry.split(":").map((part) => part.trim());
+    if (code) {
+      classrooms.set(code.toUpperCase(), Number(limit) || defaultLimit);
+    }
+  }
+  return classrooms;
+}
+
+export async function getClientIdentity(req: Request): Promise<ClientIdentity> {
+  const sessionId = await verifySignedValue(readCookie(req, SESSION_COOKIE));
+  const network = `ip:${getIP(req)}`;
+  const key = sessionId ? `sid:${sessionId}` : network;
+
+  const code = (req.headers.get("x-classroom-code") || "").trim().toUpperCase();
+  const dailyLimit = code ? getClassrooms().get(code) : undefined;
+
+  if (!dailyLimit) {
+    return { key, poolKey: key, network, classroom: null, dailyLimit: null };
+  }
+  return {
+    key,
+    poolKey: `class:${code}`,
+    network,
+    classroom: code,
+    dailyLimit,
+  };
+}
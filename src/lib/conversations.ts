@@ -0,0 +1,313 @@
+import { randomBytes } from "crypto";
+import { MAX_REPLY_LENGTH } from "@/lib/AI/chatRequest";
+import { MAX_BRANCHES } from "@/lib/branches";
+import type { ClientIdentity } from "@/lib/clientIdentity";
+import type { Source } from "@/lib/knowledge/citations";
+import { redis } from "@/lib/redis";
+import type { ToolCard } from "@/lib/tools/types";
+
+// Conversations are stored per owner (the visitor's identity key) as one
+// JSON document each, plus a sorted set of ids ordered by last update.
+// Both expire CONVERSATION_TTL_SECONDS after the last change.
+const MAX_MESSAGES = 200;
+// Conversations per owner; creating one more deletes the oldest
+const MAX_CONVERSATIONS = 50;
+const MAX_TITLE_LENGTH = 80;
+// Longer messages are cut to the longest reply /api/chat accepts
+const MAX_CONTENT_LENGTH = MAX_REPLY_LENGTH;
+// Characters of JSON per conversation; the oldest messages go first
+const MAX_STORED_LENGTH = 500_000;
+// Forks stored inside other forks' versions, e.g. an edit made in an edit
+const MAX_BRANCH_DEPTH = 5;
+
+type StoredMessage = {
+  id: number | string;
+  role: "user" | "assistant";
+  content: string;
+  timestamp?: string;
+  // Nickname of the audience member who sent the question
+  author?: string;
+  // Knowledge-base passages the reply was given (see lib/knowledge)
+  sources?: Source[];
+  // Tools the model called for the reply (see lib/tools)
+  tools?: ToolCard[];
+  // Other versions of the chat from this message on (see lib/branches)
+  branches?: { tails: (StoredMessage[] | null)[]; active: number };
+};
+
+export type Conversation = {
+  id: string;
+  title: string;
+  messages: StoredMessage[];
+  createdAt: string;
+  updatedAt: string;
+  // Running summary of the turns up to and including message `summaryUntilId`
+  summary?: string;
+  summaryUntilId?: number | string;
+};
+
+function ttl() {
+  return Number(process.env.CONVERSATION_TTL_SECONDS) || 7 * 24 * 3600;
+}
+
+// Saved chats belong to a signed session. An IP is shared by everyone behind
+// the same NAT (a school, an office), so it can't own conversations.
+export function conversationOwner({ key }: ClientIdentity) {
+  return key.startsWith("sid:") ? key : null;
+}
+
+const indexKey = (owner: string) => `Conversations:${owner}`;
+const conversationKey = (owner: string, id: string) =>
+  `Conversation:${owner}:${id}`;
+
+// Keeps only the fields the chat view renders, and only chat roles
+export function sanitizeMessages(messages: any, depth = 0): StoredMessage[] {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter(
+      (message) =>
+        message &&
+        (message.role === "user" || message.role === "assistant") &&
+        typeof message.content === "string"
+    )
+    .slice(-MAX_MESSAGES)
+    .map(
+      ({ id, role, content, timestamp, author, sources, tools, branches }) => {
+        const cleanSources = sanitizeSources(sources);
+        const cleanTools = sanitizeTools(tools);
+        const cleanBranches = sanitizeBranches(branches, depth);
+        return {
+          id,
+          role,
+          content: content.slice(0, MAX_CONTENT_LENGTH),
+          ...(typeof timestamp === "string" ? { timestamp } : {}),
+          ...(typeof author === "string"
+            ? { author: author.slice(0, 30) }
+            : {}),
+          ...(cleanSources ? { sources: cleanSources } : {}),
+          ...(cleanTools ? { tools: cleanTools } : {}),
+          ...(cleanBranches ? { branches: cleanBranches } : {}),
+        };
+      }
+    );
+}
+
+function sanitizeSources(sources: any): Source[] | null {
+  if (!Array.isArray(sources)) return null;
+
+  const text = (value: any) => String(value).slice(0, 200);
+  const clean = sources
+    .filter(
+      (source) =>
+        Number.isInteger(source?.n) &&
+        typeof source.source === "string" &&
+        typeof source.title === "string"
+    )
+    .slice(0, 10)
+    .map(({ n, source, title, heading }) => ({
+      n,
+      source: text(source),
+      title: text(title),
+      heading: typeof heading === "string" ? text(heading) : null,
+    }));
+  return clean.length ? clean : null;
+}
+
+function sanitizeTools(tools: any): ToolCard[] | null {
+  if (!Array.isArray(tools)) return null;
+
+  const text = (value: any, max: number) => String(value).slice(0, max);
+  const clean = tools
+    .filter(
+      (tool) =>
+        typeof tool?.id === "string" &&
+        typeof tool.name === "string" &&
+        typeof tool.label === "string" &&
+        typeof tool.summary === "string"
+    )
+    .slice(0, 10)
+    .map(({ id, name, label, summary, error }) => ({
+      id: text(id, 100),
+      name: text(name, 50),
+      label: text(label, 50),
+      summary: text(summary, 300),
+      ...(error === true ? { error } : {}),
+    }));
+  return clean.length ? clean : null;
+}
+
+// A fork is kept only if exactly its active slot is empty
+function sanitizeBranches(branches: any, depth: number) {
+  if (depth >= MAX_BRANCH_DEPTH || !Array.isArray(branches?.tails)) return null;
+
+  const { tails, active } = branches;
+  if (
+    tails.length < 2 ||
+    tails.length > MAX_BRANCHES ||
+    !Number.isInteger(active) ||
+    tails[active] !== null ||
+    tails.some((tail: any, i: number) => i !== active && !Array.isArray(tail))
+  ) {
+    return null;
+  }
+
+  const cleanTails = tails.map((tail: any, i: number) =>
+    i === active ? null : sanitizeMessages(tail, depth + 1)
+  );
+  if (cleanTails.some((tail: any) => tail && !tail.length)) return null;
+  return { tails: cleanTails, active };
+}
+
+// Drops the oldest messages until the conversation fits in Redis
+function fitToSize(messages: StoredMessage[]) {
+  const sizes = messages.map((message) => JSON.stringify(message).length);
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+  let start = 0;
+  while (total > MAX_STORED_LENGTH && start < messages.length - 1) {
+    total -= sizes[start++];
+  }
+  return messages.slice(start);
+}
+
+function sanitizeTitle(title: any, messages: StoredMessage[]) {
+  if (typeof title === "string" && title.trim()) {
+    return title.trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  // Default to the first question asked
+  const first = messages.find((message) => message.role === "user");
+  return first
+    ? first.content.trim().slice(0, MAX_TITLE_LENGTH)
+    : "New conversation";
+}
+
+async function save(owner: string, conversation: Conversation) {
+  await redis.set(conversationKey(owner, conversation.id), conversation, {
+    ex: ttl(),
+  });
+  await redis.zadd(indexKey(owner), {
+    score: Date.parse(conversation.updatedAt),
+    member: conversation.id,
+  });
+  await redis.expire(indexKey(owner), ttl());
+}
+
+export function isConversationId(id: any) {
+  return typeof id === "string" && /^[a-f0-9]{16}$/.test(id);
+}
+
+export async function getConversation(owner: string, id: string) {
+  if (!isConversationId(id)) return null;
+  return redis.get<Conversation>(conversationKey(owner, id));
+}
+
+export async function listConversations(owner: string) {
+  const ids = await redis.zrange<string[]>(indexKey(owner), 0, -1, {
+    rev: true,
+  });
+  if (!ids.length) return [];
+
+  const conversations = await redis.mget<(Conversation | null)[]>(
+    ...ids.map((id) => conversationKey(owner, id))
+  );
+
+  // Drop index entries whose conversation has already expired
+  const expired = ids.filter((_, index) => !conversations[index]);
+  if (expired.length) {
+    await redis.zrem(indexKey(owner), ...expired);
+  }
+
+  return conversations
+    .filter((conversation): conversation is Conversation =>
+      Boolean(conversation)
+    )
+    .map(({ id, title, createdAt, updatedAt, messages }) => ({
+      id,
+      title,
+      createdAt,
+      updatedAt,
+      messageCount: messages.length,
+    }));
+}
+
+export async function createConversation(
+  owner: string,
+  { title, messages }: { title?: string; messages?: any }
+) {
+  const now = new Date().toISOString();
+  const cleanMessages = fitToSize(sanitizeMessages(messages));
+  const conversation: Conversation = {
+    id: randomBytes(8).toString("hex"),
+    title: sanitizeTitle(title, cleanMessages),
+    messages: cleanMessages,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await save(owner, conversation);
+  await evictOldest(owner);
+  return conversation;
+}
+
+// Keeps the owner's newest MAX_CONVERSATIONS, deleting the rest
+async function evictOldest(owner: string) {
+  const stale = await redis.zrange<string[]>(
+    indexKey(owner),
+    0,
+    -(MAX_CONVERSATIONS + 1)
+  );
+  if (!stale.length) return;
+
+  await redis.del(...stale.map((id) => conversationKey(owner, id)));
+  await redis.zrem(indexKey(owner), ...stale);
+}
+
+export async function updateConversation(
+  owner: string,
+  id: string,
+  { title, messages }: { title?: string; messages?: any }
+) {
+  const existing = await getConversation(owner, id);
+  if (!existing) return null;
+
+  const cleanMessages =
+    messages === undefined
+      ? existing.messages
+      : fitToSize(sanitizeMessages(messages));
+  const conversation: Conversation = {
+    ...existing,
+    title:
+      title === undefined
+        ? existing.title
+        : sanitizeTitle(title, cleanMessages),
+    messages: cleanMessages,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await save(owner, conversation);
+  return conversation;
+}
+
+// Stores the context builder's running summary without touching the
+// conversation's position in the list
+export async function saveSummary(
+  owner: string,
+  id: string,
+  { summary, untilId }: { summary: string; untilId: number | string }
+) {
+  const existing = await getConversation(owner, id);
+  if (!existing) return;
+
+  await redis.set(
+    conversationKey(owner, id),
+    { ...existing, summary, summaryUntilId: untilId },
+    { ex: ttl() }
+  );
+}
+
+export async function deleteConversation(owner: string, id: string) {
+  const removed = await redis.del(conversationKey(owner, id));
+  await redis.zrem(indexKey(owner), id);
+  return removed > 0;
+}
@@ -0,0 +1,205 @@
+// Offline answers for demo mode. A demo pack is a list of prompts with the
+// answers the real model gave, recorded in the browser while online and kept
+// per persona in localStorage. Packs can be exported to a JSON file and
+// imported on the showcase laptop.
+export type DemoEntry = {
+  prompt: string;
+  answer: string;
+  // Words that should select this answer; derived from the prompt if absent
+  keywords?: string[];
+};
+
+export type DemoPack = {
+  version: 1;
+  personaId: string;
+  updatedAt: string;
+  entries: DemoEntry[];
+};
+
+export type DemoMatch = {
+  entry: DemoEntry;
+  match: "exact" | "fuzzy" | "keyword";
+};
+
+const MAX_ENTRIES = 500;
+const FUZZY_THRESHOLD = 0.8;
+const KEYWORD_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are can could describe do does explain for from give how i in " +
+    "is it list me my of on or please tell that the their them there these " +
+    "this to us was what when where which who why will with would you your"
+  ).split(" ")
+);
+
+export function normalizePrompt(text: string) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function keywordsOf(text: string) {
+  return Array.from(
+    new Set(
+      normalizePrompt(text)
+        .split(" ")
+        .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    )
+  );
+}
+
+// Dice coefficient over character bigrams: 1 for identical strings, near 1
+// for typos and small rewordings
+function similarity(a: string, b: string) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map<string, number>();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// Tries an exact match, then a close rewording, then the entry sharing the
+// largest share of its keywords with the prompt. Null when nothing fits.
+export function matchDemoAnswer(
+  prompt: string,
+  entries: DemoEntry[]
+): DemoMatch | null {
+  const normalized = normalizePrompt(prompt);
+  if (!normalized || !entries.length) return null;
+
+  const exact = entries.find(
+    (entry) => normalizePrompt(entry.prompt) === normalized
+  );
+  if (exact) return { entry: exact, match: "exact" };
+
+  let best: { entry: DemoEntry; score: number } | null = null;
+  for (const entry of entries) {
+    const score = similarity(normalizePrompt(entry.prompt), normalized);
+    if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+  if (best) return { entry: best.entry, match: "fuzzy" };
+
+  const words = new Set(keywordsOf(prompt));
+  for (const entry of entries) {
+    const keywords = entry.keywords?.length
+      ? entry.keywords.map(normalizePrompt)
+      : keywordsOf(entry.prompt);
+    const hits = keywords.filter((keyword) => words.has(keyword)).length;
+    const score = keywords.length ? hits / keywords.length : 0;
+    if (
+      hits >= Math.min(2, keywords.length) &&
+      score >= KEYWORD_THRESHOLD &&
+      (!best || score > best.score)
+    ) {
+      best = { entry, score };
+    }
+  }
+  return best ? { entry: best.entry, match: "keyword" } : null;
+}
+
+export function emptyDemoPack(personaId: string): DemoPack {
+  return {
+    version: 1,
+    personaId,
+    updatedAt: new Date().toISOString(),
+    entries: [],
+  };
+}
+
+// Adds or replaces entries, keeping one answer per prompt
+export function mergeDemoEntries(pack: DemoPack, entries: DemoEntry[]) {
+  const merged = new Map(
+    pack.entries.map((entry) => [normalizePrompt(entry.prompt), entry])
+  );
+  for (const entry of entries) {
+    const key = normalizePrompt(entry.prompt);
+    merged.delete(key);
+    merged.set(key, entry);
+  }
+
+  return {
+    ...pack,
+    updatedAt: new Date().toISOString(),
+    entries: Array.from(merged.values()).slice(-MAX_ENTRIES),
+  };
+}
+
+// Validates an imported file; throws with a message fit for the user
+export function parseDemoPack(json: string, personaId: string): DemoPack {
+  let raw: any;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error("That file isn't valid JSON");
+  }
+
+  const entries = Array.isArray(raw) ? raw : raw?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error("A demo pack needs an entries list");
+  }
+
+  const valid = entries
+    .filter(
+      (entry) =>
+        entry &&
+        typeof entry.prompt === "string" &&
+        entry.prompt.trim() &&
+        typeof entry.answer === "string" &&
+        entry.answer.trim()
+    )
+    .map(({ prompt, answer, keywords }) => ({
+      prompt,
+      answer,
+      ...(Array.isArray(keywords)
+        ? {
+            keywords: keywords.filter(
+              (keyword: any) => typeof keyword === "string"
+            ),
+          }
+        : {}),
+    }));
+  if (!valid.length) {
+    throw new Error("No prompts with answers found in that file");
+  }
+
+  return mergeDemoEntries(emptyDemoPack(raw.personaId || personaId), valid);
+}
+
+const storageKey = (personaId: string) => `nova:demoPack:${personaId}`;
+
+export function loadDemoPack(personaId: string): DemoPack {
+  try {
+    const stored = localStorage.getItem(storageKey(personaId));
+    if (stored) return parseDemoPack(stored, personaId);
+  } catch {
+    // Corrupt or missing pack
+  }
+  return emptyDemoPack(personaId);
+}
+
+export function saveDemoPack(pack: DemoPack) {
+  localStorage.setItem(storageKey(pack.personaId), JSON.stringify(pack));
+}
+
+export function clearDemoPack(personaId: string) {
+  localStorage.removeItem(storageKey(personaId));
+}
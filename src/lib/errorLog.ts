@@ -0,0 +1,33 @@
+import { redis } from "@/lib/redis";
+
+// Ring buffer of recent request errors for the admin dashboard
+const ERRORS_KEY = "NovaErrors";
+const MAX_ERRORS = 100;
+
+export type LoggedError = {
+  at: string;
+  source: string;
+  message: string;
+  status: number | null;
+};
+
+// Never throws: logging must not turn one failure into two
+export async function logError(source: string, error: any) {
+  const entry: LoggedError = {
+    at: new Date().toISOString(),
+    source,
+    message: String(error?.message || error).slice(0, 500),
+    status: error?.status ?? null,
+  };
+
+  try {
+    await redis.lpush(ERRORS_KEY, entry);
+    await redis.ltrim(ERRORS_KEY, 0, MAX_ERRORS - 1);
+  } catch (err) {
+    console.warn("Could not record error", err);
+  }
+}
+
+export async function recentErrors(count = 50) {
+  return redis.lrange<LoggedError>(ERRORS_KEY, 0, count - 1);
+}
@@ -0,0 +1,112 @@
+// A small in-memory BM25 index, so the knowledge base needs no search
+// service. Good enough for a folder of class notes; rebuilt from scratch
+// whenever the notes change.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a about all also an and any are as at be been but by can could did do does explain for " +
+    "from had has have how i if in into is it its just me more most much my no not of on or " +
+    "other our please so some such tell than that the their them then there these they this " +
+    "to very was we were what when where which who why will with would you your"
+  ).split(" ")
+);
+
+// Crude stemming: enough for "batteries" to find "battery" and "motors" to
+// find "motor"
+function stem(word: string) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+export function tokenize(text: string) {
+  const words: string[] =
+    text
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(
+      (word) => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word))
+    )
+    .map(stem);
+}
+
+export type SearchIndex<T> = {
+  documents: { item: T; terms: Map<string, number>; length: number }[];
+  documentFrequency: Map<string, number>;
+  averageLength: number;
+};
+
+export function buildIndex<T>(items: T[], textOf: (item: T) => string) {
+  const documentFrequency = new Map<string, number>();
+  const documents = items.map((item) => {
+    const tokens = tokenize(textOf(item));
+    const terms = new Map<string, number>();
+    for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    return { item, terms, length: tokens.length };
+  });
+
+  const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length ? totalLength / documents.length : 0,
+  };
+}
+
+// Matches far weaker than the best one are noise, e.g. a file that only
+// shares the word "car" with the question
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Numbers help rank a passage (e.g. "18650 cell") but can't find one alone:
+// "what is 12 * 7?" has nothing to do with a page that mentions 12 volts
+const isWord = (term: string) => /\p{L}/u.test(term);
+
+// The best matches for `query`, highest score first. Items matching none of
+// its words are never returned.
+export function search<T>(
+  index: SearchIndex<T>,
+  query: string,
+  {
+    limit = 3,
+    filter = () => true,
+  }: { limit?: number; filter?: (item: T) => boolean } = {}
+) {
+  const terms = [...new Set(tokenize(query))];
+  const total = index.documents.length;
+
+  return index.documents
+    .filter(({ item }) => filter(item))
+    .map(({ item, terms: counts, length }) => {
+      let score = 0;
+      let matchedWord = false;
+      for (const term of terms) {
+        const frequency = counts.get(term);
+        if (!frequency) continue;
+        matchedWord ||= isWord(term);
+
+        const containing = index.documentFrequency.get(term) || 0;
+        const idf = Math.log(
+          1 + (total - containing + 0.5) / (containing + 0.5)
+        );
+        score +=
+          (idf * frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + (B * length) / index.averageLength));
+      }
+      return { item, score: matchedWord ? score : 0 };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .filter(({ score }, _, [best]) => score >= best.score * MIN_RELATIVE_SCORE)
+    .slice(0, limit);
+}
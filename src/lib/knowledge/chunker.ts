@@ -0,0 +1,92 @@
+// Splits a Markdown or text file into passages small enough to quote in the
+// prompt. Passages follow the headings, so each one can be cited as
+// "Document › Section".
+
+const MAX_CHUNK_LENGTH = 1000;
+
+export type Chunk = {
+  id: string;
+  source: string; // file path inside the knowledge folder
+  title: string; // the document's first heading, or its file name
+  heading: string | null; // the section the passage comes from
+  text: string;
+};
+
+function titleFromFileName(source: string) {
+  const name = source
+    .split("/")
+    .pop()!
+    .replace(/\.[^.]+$/, "");
+  const words = name.replace(/[-_]+/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Paragraphs longer than a chunk are cut between sentences
+function splitLong(paragraph: string) {
+  if (paragraph.length <= MAX_CHUNK_LENGTH) return [paragraph];
+
+  const pieces: string[] = [];
+  let current = "";
+  for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || []) {
+    if (current && current.length + sentence.length > MAX_CHUNK_LENGTH) {
+      pieces.push(current.trim());
+      current = "";
+    }
+    current += sentence;
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+export function chunkDocument(source: string, content: string): Chunk[] {
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const title =
+    lines
+      .find((line) => /^#\s+\S/.test(line))
+      ?.replace(/^#\s+/, "")
+      .trim() || titleFromFileName(source);
+
+  // Sections start at every heading
+  const sections: { heading: string | null; lines: string[] }[] = [
+    { heading: null, lines: [] },
+  ];
+  for (const line of lines) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push({ heading: heading[1], lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  const chunks: Chunk[] = [];
+  for (const section of sections) {
+    const paragraphs = section.lines
+      .join("\n")
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .flatMap(splitLong);
+
+    let current = "";
+    const flush = () => {
+      if (!current) return;
+      chunks.push({
+        id: `${source}#${chunks.length + 1}`,
+        source,
+        title,
+        heading: section.heading === title ? null : section.heading,
+        text: current,
+      });
+      current = "";
+    };
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length > MAX_CHUNK_LENGTH) {
+        flush();
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    flush();
+  }
+  return chunks;
+}
@@ -0,0 +1,32 @@
+// Sources sent along with a reply: the knowledge-base passages the model was
+// given, numbered as the prompt numbered them. Safe to use in the browser.
+
+export type Source = {
+  n: number;
+  source: string; // file path inside the knowledge folder
+  title: string;
+  heading: string | null;
+};
+
+// Citations look like [1] or [1, 3]
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// The sources a reply actually cites, in order of their number
+export function citedSources(content: string, sources?: Source[] | null) {
+  if (!sources?.length) return [];
+
+  const cited = new Set<number>();
+  for (const [, numbers] of content.matchAll(CITATION)) {
+    numbers.split(",").forEach((n) => cited.add(Number(n)));
+  }
+  return sources.filter((source) => cited.has(source.n));
+}
+
+// "Document › Section"
+export const sourceLabel = ({
+  title,
+  heading,
+}: {
+  title: string;
+  heading: string | null;
+}) => (heading ? `${title} › ${heading}` : title);
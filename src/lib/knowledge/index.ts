@@ -0,0 +1,132 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { buildIndex, search, type SearchIndex } from "./bm25";
+import { chunkDocument, type Chunk } from "./chunker";
+import { sourceLabel, type Source } from "./citations";
+
+export { citedSources, sourceLabel, type Source } from "./citations";
+
+// Knowledge base: Markdown and text files in /knowledge, searched locally and
+// quoted in the prompt so answers can cite them. Files at the top level are
+// used by every persona, and files in knowledge/<persona-id>/ only by that
+// persona. README.md files are not indexed.
+const KNOWLEDGE_DIR = path.join(process.cwd(), "knowledge");
+const EXTENSIONS = [".md", ".markdown", ".txt"];
+const CHECK_MS = 30 * 1000;
+
+type KnowledgeIndex = {
+  signature: string;
+  index: SearchIndex<Chunk & { personaId: string | null }>;
+};
+
+let cache: (KnowledgeIndex & { checkedAt: number }) | null = null;
+
+export function knowledgeTopK() {
+  const value = Number(process.env.KNOWLEDGE_TOP_K);
+  return Number.isInteger(value) && value >= 0 ? value : 3;
+}
+
+// Paths relative to the folder, one level of persona folders deep
+async function listFiles() {
+  let entries;
+  try {
+    entries = await fs.readdir(KNOWLEDGE_DIR, { withFileTypes: true });
+  } catch {
+    return []; // no knowledge folder
+  }
+
+  const isDocument = (name: string) =>
+    name !== "README.md" &&
+    EXTENSIONS.includes(path.extname(name).toLowerCase());
+  const files = entries
+    .filter((entry) => entry.isFile() && isDocument(entry.name))
+    .map((entry) => entry.name);
+
+  for (const folder of entries.filter((entry) => entry.isDirectory())) {
+    const nested = await fs.readdir(path.join(KNOWLEDGE_DIR, folder.name));
+    files.push(
+      ...nested.filter(isDocument).map((name) => `${folder.name}/${name}`)
+    );
+  }
+  return files.sort();
+}
+
+// Rebuilt only when a file was added, removed or changed
+async function loadIndex() {
+  if (cache && cache.checkedAt + CHECK_MS > Date.now()) return cache.index;
+
+  const files = await listFiles();
+  const stats = await Promise.all(
+    files.map((file) => fs.stat(path.join(KNOWLEDGE_DIR, file)))
+  );
+  const signature = files
+    .map((file, i) => `${file}:${stats[i].size}:${stats[i].mtimeMs}`)
+    .join("|");
+
+  if (cache?.signature !== signature) {
+    const chunks = [];
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(
+          path.join(KNOWLEDGE_DIR, file),
+          "utf8"
+        );
+        const personaId = file.includes("/") ? file.split("/")[0] : null;
+        chunks.push(
+          ...chunkDocument(file, content).map((chunk) => ({
+            ...chunk,
+            personaId,
+          }))
+        );
+      } catch (error: any) {
+        console.warn(`Skipping knowledge file ${file}: ${error.message}`);
+      }
+    }
+    // Headings are indexed with the text, so a section's title matches too
+    cache = {
+      signature,
+      index: buildIndex(chunks, (chunk) =>
+        [chunk.title, chunk.heading, chunk.text].filter(Boolean).join("\n")
+      ),
+      checkedAt: 0,
+    };
+  }
+
+  cache.checkedAt = Date.now();
+  return cache.index;
+}
+
+// The passages that best answer `question` for the persona, best first
+export async function searchKnowledge(question: string, personaId: string) {
+  const limit = knowledgeTopK();
+  if (!limit) return [];
+
+  const index = await loadIndex();
+  return search(index, question, {
+    limit,
+    filter: (chunk) => !chunk.personaId || chunk.personaId === personaId,
+  }).map(({ item }) => item);
+}
+
+export function toSources(passages: Chunk[]): Source[] {
+  return passages.map(({ source, title, heading }, i) => ({
+    n: i + 1,
+    source,
+    title,
+    heading,
+  }));
+}
+
+// Appended to the system prompt. The numbers match toSources().
+export function knowledgePrompt(passages: Chunk[]) {
+  const quoted = passages.map(
+    (passage, i) => `[${i + 1}] ${sourceLabel(passage)}\n${passage.text}`
+  );
+  return [
+    "Reference notes from the teacher's knowledge base follow. When they answer the question, " +
+      "prefer them over your own memory, especially for specs and numbers, and cite the notes you used " +
+      "with their number in square brackets, like [1]. If they don't cover the question, answer " +
+      "normally and don't cite them.",
+    ...quoted,
+  ].join("\n\n");
+}
@@ -0,0 +1,334 @@
+// In-memory stand-in for the Upstash client, used offline (OFFLINE_MODE) so
+// the app runs without a Redis instance. It implements the commands this app
+// uses with the same serialization as @upstash/redis. Data lives in this
+// process only and is lost on restart.
+//
+// Lua scripts can't run here; code that calls `eval` registers a JavaScript
+// port of each script with defineScript().
+
+type Entry =
+  | { type: "string"; value: string; expiresAt: number | null }
+  | { type: "hash"; value: Map<string, string>; expiresAt: number | null }
+  | { type: "zset"; value: Map<string, number>; expiresAt: number | null }
+  | { type: "list"; value: string[]; expiresAt: number | null };
+
+export type Call = (command: string, ...args: any[]) => any;
+type ScriptPort = (call: Call, keys: string[], args: string[]) => any;
+
+// Shared like the store itself (see redis.ts), whichever bundle registered
+const scripts: Map<string, ScriptPort> = ((
+  globalThis as any
+).__novaMemoryScripts ??= new Map());
+
+export function defineScript(source: string, port: ScriptPort) {
+  scripts.set(source, port);
+}
+
+function serialize(value: any) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function deserialize(value: string | null) {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function globToRegExp(pattern: string) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+// Redis-style inclusive range with negative indexes counted from the end
+function range<T>(items: T[], start: number, stop: number) {
+  const from = start < 0 ? Math.max(0, items.length + start) : start;
+  const to = stop < 0 ? items.length + stop : stop;
+  // A stop before the first item selects nothing, as in Redis
+  return items.slice(from, Math.max(0, to + 1));
+}
+
+export function createMemoryRedis() {
+  const store = new Map<string, Entry>();
+
+  function read(key: string, type: Entry["type"]) {
+    const entry = store.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    if (entry && entry.type !== type) {
+      throw new Error(
+        "WRONGTYPE Operation against a key holding the wrong kind of value"
+      );
+    }
+    return entry || null;
+  }
+
+  function create(key: string, type: Entry["type"]) {
+    const existing = read(key, type);
+    if (existing) return existing;
+
+    const value =
+      type === "string" ? "" : type === "list" ? [] : new Map<string, any>();
+    const entry = { type, value, expiresAt: null } as Entry;
+    store.set(key, entry);
+    return entry;
+  }
+
+  // Sorted set members ordered by score, then member, as Redis does
+  function sortedMembers(key: string) {
+    const entry = read(key, "zset");
+    if (!entry) return [];
+    return Array.from(entry.value as Map<string, number>).sort(
+      ([a, scoreA], [b, scoreB]) => scoreA - scoreB || a.localeCompare(b)
+    );
+  }
+
+  // Raw commands on strings, like redis.call() inside a Lua script
+  const call: Call = (command, ...args) => {
+    const [key] = args;
+
+    switch (command.toUpperCase()) {
+      case "GET":
+        return (read(key, "string")?.value as string) ?? null;
+
+      case "SET": {
+        const [, value, ...options] = args;
+        let expiresAt = null;
+        for (let i = 0; i < options.length; i += 2) {
+          const option = String(options[i]).toUpperCase();
+          if (option === "EX") expiresAt = Date.now() + options[i + 1] * 1000;
+          if (option === "PX") expiresAt = Date.now() + Number(options[i + 1]);
+        }
+        store.set(key, { type: "string", value: String(value), expiresAt });
+        return "OK";
+      }
+
+      case "DEL":
+        return args.filter((name) => {
+          const exists = store.has(name) && isLive(name);
+          store.delete(name);
+          return exists;
+        }).length;
+
+      case "EXPIRE":
+      case "PEXPIRE": {
+        const entry = store.get(key);
+        if (!entry || !isLive(key)) return 0;
+        const ms =
+          command.toUpperCase() === "EXPIRE" ? args[1] * 1000 : args[1];
+        entry.expiresAt = Date.now() + Number(ms);
+        return 1;
+      }
+
+      case "HSET": {
+        const hash = create(key, "hash").value as Map<string, string>;
+        let added = 0;
+        for (let i = 1; i < args.length; i += 2) {
+          if (!hash.has(args[i])) added++;
+          hash.set(String(args[i]), String(args[i + 1]));
+        }
+        return added;
+      }
+      case "HGET":
+        return (
+          (read(key, "hash")?.value as Map<string, string>)?.get(args[1]) ??
+          null
+        );
+      case "HMGET": {
+        const hash = read(key, "hash")?.value as Map<string, string>;
+        return args.slice(1).map((field) => hash?.get(field) ?? null);
+      }
+      case "HGETALL": {
+        const hash = read(key, "hash")?.value as Map<string, string>;
+        return hash ? Array.from(hash).flat() : [];
+      }
+      case "HDEL": {
+        const hash = read(key, "hash")?.value as Map<string, string>;
+        return args.slice(1).filter((field) => hash?.delete(field)).length;
+      }
+
+      case "ZADD": {
+        const zset = create(key, "zset").value as Map<string, number>;
+        let added = 0;
+        for (let i = 1; i < args.length; i += 2) {
+          if (!zset.has(String(args[i + 1]))) added++;
+          zset.set(String(args[i + 1]), Number(args[i]));
+        }
+        return added;
+      }
+      case "ZCARD":
+        return (read(key, "zset")?.value as Map<string, number>)?.size ?? 0;
+      case "ZRANGE": {
+        const flags = args.slice(3).map((flag) => String(flag).toUpperCase());
+        let members = sortedMembers(key);
+        if (flags.includes("REV")) members = members.reverse();
+        const selected = range(members, Number(args[1]), Number(args[2]));
+        return flags.includes("WITHSCORES")
+          ? selected.flatMap(([member, score]) => [member, String(score)])
+          : selected.map(([member]) => member);
+      }
+      case "ZREM": {
+        const zset = read(key, "zset")?.value as Map<string, number>;
+        return args.slice(1).filter((member) => zset?.delete(String(member)))
+          .length;
+      }
+      case "ZREMRANGEBYSCORE": {
+        const zset = read(key, "zset")?.value as Map<string, number>;
+        let removed = 0;
+        for (const [member, score] of Array.from(zset || [])) {
+          if (score >= Number(args[1]) && score <= Number(args[2])) {
+            zset.delete(member);
+            removed++;
+          }
+        }
+        return removed;
+      }
+
+      case "LPUSH": {
+        const list = create(key, "list").value as string[];
+        list.unshift(...args.slice(1).map(String).reverse());
+        return list.length;
+      }
+      case "LTRIM": {
+        const entry = read(key, "list");
+        if (entry) {
+          entry.value = range(entry.value as string[], args[1], args[2]);
+        }
+        return "OK";
+      }
+      case "LRANGE":
+        return range(
+          (read(key, "list")?.value as string[]) || [],
+          Number(args[1]),
+          Number(args[2])
+        );
+
+      default:
+        throw new Error(`The in-memory Redis does not support ${command}`);
+    }
+  };
+
+  function isLive(key: string) {
+    const entry = store.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return false;
+    }
+    return Boolean(entry);
+  }
+
+  // The subset of the @upstash/redis API used in this app
+  return {
+    async get(key: string) {
+      return deserialize(call("GET", key));
+    },
+    async set(
+      key: string,
+      value: any,
+      options: { ex?: number; px?: number } = {}
+    ) {
+      const expiry = options.ex
+        ? ["EX", options.ex]
+        : options.px
+        ? ["PX", options.px]
+        : [];
+      return call("SET", key, serialize(value), ...expiry);
+    },
+    async mget(...keys: string[]) {
+      return keys.map((key) => deserialize(call("GET", key)));
+    },
+    async del(...keys: string[]) {
+      return call("DEL", ...keys);
+    },
+    async expire(key: string, seconds: number) {
+      return call("EXPIRE", key, seconds);
+    },
+
+    async hset(key: string, fields: Record<string, any>) {
+      return call(
+        "HSET",
+        key,
+        ...Object.entries(fields).flatMap(([field, value]) => [
+          field,
+          serialize(value),
+        ])
+      );
+    },
+    async hget(key: string, field: string) {
+      return deserialize(call("HGET", key, field));
+    },
+    async hgetall(key: string) {
+      const flat: string[] = call("HGETALL", key);
+      if (!flat.length) return null;
+
+      const result: Record<string, any> = {};
+      for (let i = 0; i < flat.length; i += 2) {
+        result[flat[i]] = deserialize(flat[i + 1]);
+      }
+      return result;
+    },
+    async hdel(key: string, ...fields: string[]) {
+      return call("HDEL", key, ...fields);
+    },
+
+    async zadd(key: string, ...members: { score: number; member: any }[]) {
+      return call(
+        "ZADD",
+        key,
+        ...members.flatMap(({ score, member }) => [score, serialize(member)])
+      );
+    },
+    async zrange(
+      key: string,
+      start: number,
+      stop: number,
+      options: { rev?: boolean } = {}
+    ) {
+      const members: string[] = call(
+        "ZRANGE",
+        key,
+        start,
+        stop,
+        ...(options.rev ? ["REV"] : [])
+      );
+      return members.map(deserialize);
+    },
+    async zrem(key: string, ...members: any[]) {
+      return call("ZREM", key, ...members.map(serialize));
+    },
+
+    async lpush(key: string, ...values: any[]) {
+      return call("LPUSH", key, ...values.map(serialize));
+    },
+    async ltrim(key: string, start: number, stop: number) {
+      return call("LTRIM", key, start, stop);
+    },
+    async lrange(key: string, start: number, stop: number) {
+      return (call("LRANGE", key, start, stop) as string[]).map(deserialize);
+    },
+
+    // Returns every match at once, with cursor 0 to end the iteration
+    async scan(_cursor: number | string, options: { match?: string } = {}) {
+      const pattern = globToRegExp(options.match || "*");
+      const keys = Array.from(store.keys()).filter(
+        (key) => isLive(key) && pattern.test(key)
+      );
+      return ["0", keys];
+    },
+
+    async eval(script: string, keys: string[], args: any[]) {
+      const port = scripts.get(script);
+      if (!port) {
+        throw new Error("The in-memory Redis has no port of this script");
+      }
+      return port(call, keys, args.map(String));
+    },
+  };
+}
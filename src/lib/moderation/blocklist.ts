@@ -0,0 +1,38 @@
+// Built-in terms that are never school-safe. Matched case-insensitively as
+// whole words; MODERATION_BLOCKLIST and the admin dashboard add more.
+export const DEFAULT_BLOCKED_TERMS = [
+  "fuck",
+  "fucking",
+  "shit",
+  "bitch",
+  "asshole",
+  "bastard",
+  "cunt",
+  "dickhead",
+  "porn",
+  "nudes",
+  "kill yourself",
+  "kys",
+  "make a bomb",
+  "build a bomb",
+  "buy a gun",
+  "buy drugs",
+];
+
+// Personal data that is removed rather than blocked
+export const REDACTIONS = [
+  {
+    name: "email",
+    pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g,
+    replacement: "[email removed]",
+  },
+  {
+    name: "phone",
+    // Grouped numbers like 555-123-4567, (020) 7946 0958 or +44 20 7946 0958,
+    // or a bare international number. Plain figures and decimals are kept,
+    // and so are round figures grouped in thousands, like 300 000 000.
+    pattern:
+      /(?<!\w|\d\.)(?!\d{1,3}(?:[\s.]000)+(?!\d))(?:\+\d{8,14}|(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4})(?!\w|\.\d)/g,
+    replacement: "[phone removed]",
+  },
+];
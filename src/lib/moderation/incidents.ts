@@ -0,0 +1,34 @@
+import { redis } from "@/lib/redis";
+
+// Everything the moderation layer blocked, for the teacher to review in /admin
+const INCIDENTS_KEY = "NovaIncidents";
+const MAX_INCIDENTS = 200;
+
+export type Incident = {
+  at: string;
+  stage: "input" | "output" | "question";
+  rule: string;
+  // The blocked text with personal data already removed
+  excerpt: string;
+  subject: string;
+};
+
+// Never throws: a failed log must not let the blocked text through
+export async function logIncident(incident: Omit<Incident, "at">) {
+  const entry: Incident = {
+    at: new Date().toISOString(),
+    ...incident,
+    excerpt: incident.excerpt.slice(0, 300),
+  };
+
+  try {
+    await redis.lpush(INCIDENTS_KEY, entry);
+    await redis.ltrim(INCIDENTS_KEY, 0, MAX_INCIDENTS - 1);
+  } catch (err) {
+    console.warn("Could not record moderation incident", err);
+  }
+}
+
+export async function recentIncidents(count = 50) {
+  return redis.lrange<Incident>(INCIDENTS_KEY, 0, count - 1);
+}
@@ -0,0 +1,147 @@
+import { getSettings } from "@/lib/settings";
+import { DEFAULT_BLOCKED_TERMS, REDACTIONS } from "./blocklist";
+import { type InjectionPolicy, resolveInjectionPolicy } from "./injection";
+
+export { logIncident, recentIncidents } from "./incidents";
+export {
+  INJECTION_REFUSAL,
+  INJECTION_REMINDER,
+  detectInjection,
+} from "./injection";
+
+// School-safe moderation for text going to and coming from the model:
+// personal data is redacted, and anything matching a blocked term or pattern
+// is replaced with REFUSAL and logged as an incident.
+export const REFUSAL =
+  "Let's keep it school-safe! 🚦 I can't help with that one, but I'd love to answer another question.";
+
+export type ModerationRules = {
+  terms: RegExp | null;
+  patterns: { source: string; regex: RegExp }[];
+  injectionPolicy: InjectionPolicy;
+};
+
+export type ModerationResult = {
+  // The text with personal data redacted
+  text: string;
+  // Description of the rule that blocked it, or null when it may pass
+  blockedBy: string | null;
+};
+
+function escapeRegExp(value: string) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Tolerates invalid patterns by skipping them
+function compilePattern(source: string) {
+  try {
+    return new RegExp(source, "i");
+  } catch {
+    return null;
+  }
+}
+
+// Built-in terms, MODERATION_BLOCKLIST (comma-separated) and the terms and
+// patterns the teacher added in /admin, plus the prompt-injection policy
+export async function getModerationRules(): Promise<ModerationRules> {
+  const settings = await getSettings();
+  const terms = [
+    ...DEFAULT_BLOCKED_TERMS,
+    ...(process.env.MODERATION_BLOCKLIST || "").split(","),
+    ...settings.blockedTerms,
+  ]
+    .map((term) => term.trim())
+    .filter(Boolean);
+
+  return {
+    terms: terms.length
+      ? new RegExp(
+          `(?<![\\w])(${terms.map(escapeRegExp).join("|")})(?![\\w])`,
+          "i"
+        )
+      : null,
+    patterns: settings.blockedPatterns.flatMap((source) => {
+      const regex = compilePattern(source);
+      return regex ? [{ source, regex }] : [];
+    }),
+    injectionPolicy: resolveInjectionPolicy(settings.injectionPolicy),
+  };
+}
+
+export function redact(text: string) {
+  return REDACTIONS.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+export function checkText(
+  text: string,
+  rules: ModerationRules
+): ModerationResult {
+  const redacted = redact(text);
+
+  const term = rules.terms && redacted.match(rules.terms);
+  if (term) return { text: redacted, blockedBy: `term: ${term[1]}` };
+
+  const pattern = rules.patterns.find(({ regex }) => regex.test(redacted));
+  if (pattern)
+    return { text: redacted, blockedBy: `pattern: ${pattern.source}` };
+
+  return { text: redacted, blockedBy: null };
+}
+
+export async function moderate(text: string) {
+  return checkText(text, await getModerationRules());
+}
+
+// A streamed reply can only be judged as it grows. Each delta re-checks the
+// whole reply so far; text is released once it is HOLDBACK characters behind
+// the newest delta, so personal data split across deltas is redacted before
+// any of it is sent. If redaction rewrites text that was already sent, the
+// client is told to replace the message.
+const HOLDBACK = 40;
+
+export type StreamEvent =
+  | { type: "delta"; content: string }
+  | { type: "replace"; content: string };
+
+export function createStreamModerator(rules: ModerationRules) {
+  let raw = "";
+  let sent = "";
+
+  const release = (upTo: (text: string) => number) => {
+    const result = checkText(raw, rules);
+    if (result.blockedBy) return { blockedBy: result.blockedBy, events: [] };
+
+    const ready = result.text.slice(0, upTo(result.text));
+    const events: StreamEvent[] = [];
+    if (!ready.startsWith(sent)) {
+      events.push({ type: "replace", content: ready });
+    } else if (ready.length > sent.length) {
+      events.push({ type: "delta", content: ready.slice(sent.length) });
+    }
+    if (events.length) sent = ready;
+    return { blockedBy: null, events };
+  };
+
+  return {
+    get text() {
+      return raw;
+    },
+
+    push(delta: string) {
+      raw += delta;
+      return release((text) => {
+        // Break on whitespace so words aren't cut in half
+        const end = text.lastIndexOf(" ", text.length - HOLDBACK);
+        return Math.max(end, sent.length);
+      });
+    },
+
+    // Releases the rest once the model has finished
+    flush() {
+      return release((text) => text.length);
+    },
+  };
+}
@@ -0,0 +1,5 @@
+// OFFLINE_MODE=true runs the app without any outside service: the mock AI
+// provider answers instead of a real model and Redis is kept in memory
+export function isOfflineMode() {
+  return /^(1|true|yes)$/i.test(process.env.OFFLINE_MODE || "");
+}
@@ -0,0 +1,29 @@
+import http from "node:http";
+
+// Route handlers only see headers, and Next fills in X-Forwarded-For from the
+// socket only when the client didn't send one. So each connection's address
+// is copied into a header whose name is random per process: a client can't
+// send it, and a request that arrived before the hook ran has none.
+const HEADER = Symbol.for("nova.peerAddressHeader");
+
+export function peerAddressHeader(): string | null {
+  return (globalThis as any)[HEADER] ?? null;
+}
+
+// Called once from instrumentation, in the Node.js runtime only
+export function recordPeerAddresses() {
+  if (peerAddressHeader()) return;
+
+  const header = `x-nova-peer-${crypto.randomUUID()}`;
+  (globalThis as any)[HEADER] = header;
+
+  const emit = http.Server.prototype.emit;
+  http.Server.prototype.emit = function (event: string, ...args: any[]) {
+    if (event === "request") {
+      const [req] = args as [http.IncomingMessage];
+      const address = req.socket.remoteAddress;
+      if (address) req.headers[header] = address.replace(/^::ffff:/, "");
+    }
+    return emit.call(this, event, ...args);
+  } as typeof emit;
+}
@@ -0,0 +1,18 @@
+import { biology } from "./biology";
+import { rcCar } from "./rcCar";
+import { robotics } from "./robotics";
+import { space } from "./space";
+import type { Persona, PublicPersona } from "./types";
+
+export type { Persona, PublicPersona } from "./types";
+
+export const DEFAULT_PERSONA_ID = "rc-car";
+
+export const builtInPersonas: Persona[] = [rcCar, robotics, space, biology];
+
+export function toPublicPersona({
+  systemPrompt,
+  ...persona
+}: Persona): PublicPersona {
+  return persona;
+}
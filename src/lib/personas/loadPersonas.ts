@@ -0,0 +1,106 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { DEFAULT_PERSONA_ID, builtInPersonas } from "./index";
+import { rcCar } from "./rcCar";
+import type { Persona } from "./types";
+
+// Server-side registry: the built-ins plus any /personas/*.json files.
+// A JSON persona with a built-in's id replaces it.
+const PERSONAS_DIR = path.join(process.cwd(), "personas");
+const CACHE_MS = 30 * 1000;
+
+let cache: { personas: Persona[]; expiresAt: number } | null = null;
+
+function stringList(value: any) {
+  return Array.isArray(value)
+    ? value.filter((item) => typeof item === "string")
+    : [];
+}
+
+// Missing optional fields fall back to the Nova persona's
+function normalize(raw: any, file: string): Persona | null {
+  const required = ["id", "name", "systemPrompt", "greeting"];
+  const missing = required.filter(
+    (field) => typeof raw?.[field] !== "string" || !raw[field].trim()
+  );
+  if (missing.length) {
+    console.warn(`Skipping persona ${file}: missing ${missing.join(", ")}`);
+    return null;
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name,
+    title: raw.title || `${raw.name} AI Assistant`,
+    tagline: raw.tagline || rcCar.tagline,
+    systemPrompt: raw.systemPrompt,
+    greeting: raw.greeting,
+    examplePrompts: stringList(raw.examplePrompts),
+    demoResponses: stringList(raw.demoResponses).length
+      ? stringList(raw.demoResponses)
+      : [raw.greeting],
+    demoAnswers: Array.isArray(raw.demoAnswers)
+      ? raw.demoAnswers.filter(
+          (entry: any) =>
+            typeof entry?.prompt === "string" &&
+            typeof entry?.answer === "string"
+        )
+      : [],
+    mascotText: raw.mascotText || raw.greeting,
+    theme: { ...rcCar.theme, ...(raw.theme || {}) },
+  };
+}
+
+async function readCustomPersonas() {
+  let files: string[];
+  try {
+    files = (await fs.readdir(PERSONAS_DIR)).filter((file) =>
+      file.endsWith(".json")
+    );
+  } catch {
+    return []; // no personas folder
+  }
+
+  const personas = [];
+  for (const file of files.sort()) {
+    try {
+      const raw = JSON.parse(
+        await fs.readFile(path.join(PERSONAS_DIR, file), "utf8")
+      );
+      const persona = normalize(raw, file);
+      if (persona) personas.push(persona);
+    } catch (error: any) {
+      console.warn(`Skipping persona ${file}: ${error.message}`);
+    }
+  }
+  return personas;
+}
+
+export async function loadPersonas() {
+  if (cache && cache.expiresAt > Date.now()) return cache.personas;
+
+  const custom = await readCustomPersonas();
+  const personas = [
+    ...builtInPersonas.filter(
+      (persona) => !custom.some((override) => override.id === persona.id)
+    ),
+    ...custom,
+  ];
+
+  cache = { personas, expiresAt: Date.now() + CACHE_MS };
+  return personas;
+}
+
+export function defaultPersonaId() {
+  return process.env.DEFAULT_PERSONA || DEFAULT_PERSONA_ID;
+}
+
+// Unknown ids fall back to the default persona, then to Nova
+export async function getPersona(id?: string | null) {
+  const personas = await loadPersonas();
+  return (
+    personas.find((persona) => persona.id === id) ||
+    personas.find((persona) => persona.id === defaultPersonaId()) ||
+    rcCar
+  );
+}
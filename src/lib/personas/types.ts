@@ -0,0 +1,25 @@
+// Everything that makes a showcase persona. Built-ins live next to this
+// file; extra personas can be dropped into /personas/*.json at the project
+// root using the same fields.
+export type Persona = {
+  id: string;
+  name: string; // what the assistant calls itself, e.g. "Nova"
+  title: string; // header title
+  tagline: string; // header subtitle
+  systemPrompt: string;
+  greeting: string; // first chat message
+  examplePrompts: string[];
+  demoResponses: string[]; // demo mode replies for prompts with no saved answer
+  // Built-in demo mode answers, matched to the prompt like a demo pack's
+  demoAnswers?: { prompt: string; answer: string; keywords?: string[] }[];
+  mascotText: string; // mascot speech bubble
+  theme: {
+    from: string; // page background gradient
+    via: string;
+    to: string;
+    accent: string; // mascot body color
+  };
+};
+
+// Public view sent to the browser; the system prompt stays on the server
+export type PublicPersona = Omit<Persona, "systemPrompt">;
@@ -0,0 +1,88 @@
+// Presentation settings for projectors: a global font scale and color
+// themes, saved in the browser. Both are applied to the <html> element, and
+// the theme overrides live in globals.css.
+
+export type PresentationTheme = "default" | "contrast" | "light";
+
+export type PresentationSettings = {
+  fontScale: number;
+  theme: PresentationTheme;
+};
+
+export const defaultPresentationSettings: PresentationSettings = {
+  fontScale: 1,
+  theme: "default",
+};
+
+export const PRESENTATION_THEMES: { id: PresentationTheme; label: string }[] = [
+  { id: "default", label: "Persona colors" },
+  { id: "contrast", label: "High contrast" },
+  { id: "light", label: "Light" },
+];
+
+export const FONT_SCALE = { min: 0.8, max: 2, step: 0.1 };
+
+// Listed in the presentation menu; handled in page.js
+export const HOTKEYS = [
+  { keys: "Alt+Shift+K", label: "Clear the chat" },
+  { keys: "Alt+Shift+D", label: "Toggle demo mode" },
+  { keys: "/ or Alt+Shift+I", label: "Focus the message box" },
+  { keys: "Alt+Shift+N", label: "Next example prompt" },
+  { keys: "Alt+Shift+R", label: "Replay the mascot" },
+  { keys: "Alt+Shift+F", label: "Fullscreen" },
+  { keys: "Alt+Shift+= / -", label: "Bigger / smaller text" },
+  { keys: "Alt+Shift+T", label: "Next theme" },
+];
+
+const STORAGE_KEY = "nova:presentation";
+
+export function clampFontScale(scale: number) {
+  const clamped = Math.min(FONT_SCALE.max, Math.max(FONT_SCALE.min, scale));
+  return Math.round(clamped * 10) / 10;
+}
+
+export function nextTheme(theme: PresentationTheme) {
+  const index = PRESENTATION_THEMES.findIndex((entry) => entry.id === theme);
+  return PRESENTATION_THEMES[(index + 1) % PRESENTATION_THEMES.length].id;
+}
+
+export function loadPresentationSettings(): PresentationSettings {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      fontScale: clampFontScale(
+        Number(stored.fontScale) || defaultPresentationSettings.fontScale
+      ),
+      theme: PRESENTATION_THEMES.some((entry) => entry.id === stored.theme)
+        ? stored.theme
+        : defaultPresentationSettings.theme,
+    };
+  } catch {
+    return defaultPresentationSettings;
+  }
+}
+
+export function savePresentationSettings(settings: PresentationSettings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function applyPresentationSettings({
+  fontScale,
+  theme,
+}: PresentationSettings) {
+  const root = document.documentElement;
+  root.style.setProperty("--font-scale", String(fontScale));
+  if (theme === "default") {
+    delete root.dataset.theme;
+  } else {
+    root.dataset.theme = theme;
+  }
+}
+
+export function toggleFullscreen() {
+  if (document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  } else {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  }
+}
@@ -0,0 +1,242 @@
+import { randomBytes } from "crypto";
+import { defineScript } from "@/lib/memoryRedis";
+import { redis } from "@/lib/redis";
+
+// Questions sent from the audience page, waiting for the presenter. All of
+// them live in one hash (id -> question) that expires QUEUE_TTL_SECONDS after
+// the last change, so each showcase starts with an empty queue.
+const QUEUE_KEY = "AudienceQuestions";
+const QUEUE_TTL_SECONDS = 12 * 3600;
+const MAX_PENDING = 50;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_NICKNAME_LENGTH = 30;
+
+export type QuestionStatus = "pending" | "approved" | "rejected" | "answered";
+
+export type AudienceQuestion = {
+  id: string;
+  nickname: string;
+  text: string;
+  // Identity key of the submitter, so they can follow their own questions
+  owner: string;
+  status: QuestionStatus;
+  // Position among pending questions; the presenter can reorder them
+  order: number;
+  createdAt: string;
+  updatedAt: string;
+};
+
+const STATUSES: QuestionStatus[] = [
+  "pending",
+  "approved",
+  "rejected",
+  "answered",
+];
+
+// Counts the pending questions and adds the new one in a single step, so
+// concurrent submissions can't push the queue past MAX_PENDING. The new
+// question goes to the end of the pending list. Returns its order, or 0 when
+// the queue is full.
+// ARGV: id, question (JSON), max pending, ttl (s), now (ms)
+const SUBMIT = `
+local questions = redis.call("HGETALL", KEYS[1])
+local pending = 0
+local order = tonumber(ARGV[5])
+for i = 2, #questions, 2 do
+  local entry = cjson.decode(questions[i])
+  if entry.status == "pending" then
+    pending = pending + 1
+    order = math.max(order, entry.order + 1)
+  end
+end
+if pending >= tonumber(ARGV[3]) then return 0 end
+local question = cjson.decode(ARGV[2])
+question.order = order
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(question))
+redis.call("EXPIRE", KEYS[1], ARGV[4])
+return order
+`;
+
+// Line-for-line port for the in-memory Redis used offline
+defineScript(SUBMIT, (call, [key], argv) => {
+  const questions = call("HGETALL", key);
+  let pending = 0;
+  let order = Number(argv[4]);
+  for (let i = 1; i < questions.length; i += 2) {
+    const entry = JSON.parse(questions[i]);
+    if (entry.status === "pending") {
+      pending = pending + 1;
+      order = Math.max(order, entry.order + 1);
+    }
+  }
+  if (pending >= Number(argv[2])) return 0;
+  const question = JSON.parse(argv[1]);
+  question.order = order;
+  call("HSET", key, argv[0], JSON.stringify(question));
+  call("EXPIRE", key, argv[3]);
+  return order;
+});
+
+export class QuestionError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "QuestionError";
+    this.status = status;
+  }
+}
+
+async function readAll() {
+  const all = await redis.hgetall<Record<string, AudienceQuestion>>(QUEUE_KEY);
+  return Object.values(all || {});
+}
+
+async function write(questions: AudienceQuestion[]) {
+  if (!questions.length) return;
+  await redis.hset(
+    QUEUE_KEY,
+    Object.fromEntries(questions.map((question) => [question.id, question]))
+  );
+  await redis.expire(QUEUE_KEY, QUEUE_TTL_SECONDS);
+}
+
+const byOrder = (a: AudienceQuestion, b: AudienceQuestion) => a.order - b.order;
+
+// Pending first in the presenter's order, then approved ones waiting to be
+// asked, then the rest newest first
+export async function listQuestions() {
+  const questions = await readAll();
+  const withStatus = (status: QuestionStatus) =>
+    questions.filter((question) => question.status === status);
+
+  return [
+    ...withStatus("pending").sort(byOrder),
+    ...withStatus("approved").sort((a, b) =>
+      a.updatedAt.localeCompare(b.updatedAt)
+    ),
+    ...questions
+      .filter(
+        (question) =>
+          question.status === "rejected" || question.status === "answered"
+      )
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+  ];
+}
+
+// What the audience page shows a submitter about their own questions
+export async function listOwnQuestions(owner: string) {
+  return (await readAll())
+    .filter((question) => question.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ id, nickname, text, status, createdAt }) => ({
+      id,
+      nickname,
+      text,
+      status,
+      createdAt,
+    }));
+}
+
+// Checks a submission before it counts against the visitor's limit
+export function parseQuestion({
+  nickname,
+  text,
+}: {
+  nickname?: any;
+  text?: any;
+}) {
+  const cleanText = typeof text === "string" ? text.trim() : "";
+  if (!cleanText) throw new QuestionError("A question is required");
+  if (cleanText.length > MAX_QUESTION_LENGTH) {
+    throw new QuestionError(
+      `Questions are limited to ${MAX_QUESTION_LENGTH} characters`
+    );
+  }
+
+  return {
+    nickname:
+      (typeof nickname === "string" &&
+        nickname.trim().slice(0, MAX_NICKNAME_LENGTH)) ||
+      "Anonymous",
+    text: cleanText,
+  };
+}
+
+export async function submitQuestion(
+  owner: string,
+  submission: { nickname?: any; text?: any }
+) {
+  const { nickname, text } = parseQuestion(submission);
+  const now = new Date();
+  const question: AudienceQuestion = {
+    id: randomBytes(6).toString("hex"),
+    nickname,
+    text,
+    owner,
+    status: "pending",
+    order: 0, // set by the script
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+
+  const order = Number(
+    await redis.eval(
+      SUBMIT,
+      [QUEUE_KEY],
+      [
+        question.id,
+        JSON.stringify(question),
+        MAX_PENDING,
+        QUEUE_TTL_SECONDS,
+        now.getTime(),
+      ]
+    )
+  );
+  if (!order) {
+    throw new QuestionError(
+      "The question queue is full - try again in a few minutes",
+      503
+    );
+  }
+  return { ...question, order };
+}
+
+// Presenter actions: change a question's status, or move a pending question
+// to `position` in the pending list
+export async function moderateQuestion(
+  id: string,
+  { status, position }: { status?: any; position?: any }
+) {
+  const questions = await readAll();
+  const question = questions.find((entry) => entry.id === id);
+  if (!question) return null;
+
+  const now = new Date().toISOString();
+
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      throw new QuestionError(`status must be one of ${STATUSES.join(", ")}`);
+    }
+    const updated = { ...question, status, updatedAt: now };
+    await write([updated]);
+    return updated;
+  }
+
+  if (!Number.isInteger(position)) {
+    throw new QuestionError("position must be a whole number");
+  }
+  if (question.status !== "pending") {
+    throw new QuestionError("Only pending questions can be reordered", 409);
+  }
+
+  const pending = questions
+    .filter((entry) => entry.status === "pending" && entry.id !== id)
+    .sort(byOrder);
+  const index = Math.min(Math.max(position, 0), pending.length);
+  pending.splice(index, 0, question);
+
+  const reordered = pending.map((entry, order) => ({ ...entry, order }));
+  await write(reordered);
+  return reordered[index];
+}
@@ -0,0 +1,378 @@
+import { getClassrooms, type ClientIdentity } from "@/lib/clientIdentity";
+import { defineScript } from "@/lib/memoryRedis";
+import { redis } from "@/lib/redis";
+
+// Rate limiting on Redis. Each strategy runs as a single Lua script, so the
+// check and the update happen atomically even under concurrent requests.
+
+// Sorted set of request timestamps: exact count over the trailing window.
+// ARGV: now (ms), window (ms), limit, member, peek ("1" = don't record)
+const SLIDING_WINDOW = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+local count = redis.call("ZCARD", key)
+local allowed = 0
+if count < limit and ARGV[5] ~= "1" then
+  redis.call("ZADD", key, now, ARGV[4])
+  redis.call("PEXPIRE", key, window)
+  count = count + 1
+  allowed = 1
+elseif count < limit then
+  allowed = 1
+end
+local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+local resetAt = now + window
+if oldest[2] then resetAt = tonumber(oldest[2]) + window end
+return {allowed, count, resetAt}
+`;
+
+// Bucket of `capacity` tokens refilled continuously; a request costs one.
+// ARGV: now (ms), capacity, refill per ms, cost (negative refunds, 0 peeks)
+const TOKEN_BUCKET = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local refill = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call("HMGET", key, "tokens", "updatedAt")
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refill)
+local allowed = 0
+if tokens >= cost then
+  tokens = math.min(capacity, tokens - cost)
+  allowed = 1
+end
+redis.call("HSET", key, "tokens", tostring(tokens), "updatedAt", tostring(now))
+redis.call("PEXPIRE", key, math.ceil((capacity - tokens) / refill) + 1000)
+return {allowed, tostring(tokens)}
+`;
+
+// Line-for-line ports of both scripts for the in-memory Redis used offline
+defineScript(SLIDING_WINDOW, (call, [key], argv) => {
+  const now = Number(argv[0]);
+  const window = Number(argv[1]);
+  const limit = Number(argv[2]);
+  call("ZREMRANGEBYSCORE", key, 0, now - window);
+  let count = call("ZCARD", key);
+  let allowed = 0;
+  if (count < limit && argv[4] !== "1") {
+    call("ZADD", key, now, argv[3]);
+    call("PEXPIRE", key, window);
+    count = count + 1;
+    allowed = 1;
+  } else if (count < limit) {
+    allowed = 1;
+  }
+  const oldest = call("ZRANGE", key, 0, 0, "WITHSCORES");
+  let resetAt = now + window;
+  if (oldest[1]) resetAt = Number(oldest[1]) + window;
+  return [allowed, count, resetAt];
+});
+
+defineScript(TOKEN_BUCKET, (call, [key], argv) => {
+  const now = Number(argv[0]);
+  const capacity = Number(argv[1]);
+  const refill = Number(argv[2]);
+  const cost = Number(argv[3]);
+  const state = call("HMGET", key, "tokens", "updatedAt");
+  let tokens = state[0] === null ? capacity : Number(state[0]);
+  const updatedAt = state[1] === null ? now : Number(state[1]);
+  tokens = Math.min(capacity, tokens + Math.max(0, now - updatedAt) * refill);
+  let allowed = 0;
+  if (tokens >= cost) {
+    tokens = Math.min(capacity, tokens - cost);
+    allowed = 1;
+  }
+  call("HSET", key, "tokens", String(tokens), "updatedAt", String(now));
+  call("PEXPIRE", key, Math.ceil((capacity - tokens) / refill) + 1000);
+  return [allowed, String(tokens)];
+});
+
+export type LimitRule = {
+  name: string;
+  strategy: "sliding-window" | "token-bucket";
+  limit: number;
+  windowSeconds: number;
+  // Counted against the identity's shared pool (e.g. a classroom) instead
+  // of the individual visitor
+  pooled?: boolean;
+  // Counted against the client IP, whichever session it sends
+  perNetwork?: boolean;
+};
+
+export type LimitResult = {
+  name: string;
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  reset: number; // epoch seconds when the quota is fully available again
+  retryAfter: number; // seconds, 0 when allowed
+  refund: () => Promise<void>;
+};
+
+const noop = async () => {};
+
+async function slidingWindow(
+  key: string,
+  rule: LimitRule,
+  { peek = false } = {}
+): Promise<LimitResult> {
+  const now = Date.now();
+  const windowMs = rule.windowSeconds * 1000;
+  const member = `${now}-${Math.random().toString(36).slice(2)}`;
+
+  const [allowed, count, resetAt] = (await redis.eval(
+    SLIDING_WINDOW,
+    [key],
+    [now, windowMs, rule.limit, member, peek ? "1" : "0"]
+  )) as number[];
+
+  return {
+    name: rule.name,
+    allowed: allowed === 1,
+    limit: rule.limit,
+    remaining: Math.max(0, rule.limit - count),
+    reset: Math.ceil(resetAt / 1000),
+    retryAfter: allowed === 1 ? 0 : Math.ceil((resetAt - now) / 1000),
+    refund:
+      allowed === 1 && !peek
+        ? async () => {
+            await redis.zrem(key, member);
+          }
+        : noop,
+  };
+}
+
+async function tokenBucket(
+  key: string,
+  rule: LimitRule,
+  { peek = false } = {}
+): Promise<LimitResult> {
+  const refillPerMs = rule.limit / (rule.windowSeconds * 1000);
+  const run = (cost: number) =>
+    redis.eval(
+      TOKEN_BUCKET,
+      [key],
+      [Date.now(), rule.limit, refillPerMs, cost]
+    ) as Promise<[number, string]>;
+
+  const [allowed, rawTokens] = await run(peek ? 0 : 1);
+  const tokens = Number(rawTokens);
+
+  return {
+    name: rule.name,
+    allowed: allowed === 1,
+    limit: rule.limit,
+    remaining: Math.floor(tokens),
+    reset: Math.ceil((Date.now() + (rule.limit - tokens) / refillPerMs) / 1000),
+    retryAfter:
+      allowed === 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000),
+    refund:
+      allowed === 1 && !peek
+        ? async () => {
+            await run(-1);
+          }
+        : noop,
+  };
+}
+
+const strategies = {
+  "sliding-window": slidingWindow,
+  "token-bucket": tokenBucket,
+};
+
+function rule(name: string, defaults: Omit<LimitRule, "name">): LimitRule {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const strategy = process.env[`${prefix}_STRATEGY`] as LimitRule["strategy"];
+  return {
+    name,
+    strategy: strategy in strategies ? strategy : defaults.strategy,
+    limit: Number(process.env[prefix]) || defaults.limit,
+    windowSeconds: defaults.windowSeconds,
+    pooled: defaults.pooled,
+    perNetwork: defaults.perNetwork,
+  };
+}
+
+// Daily limit the presenter raised for one visitor or classroom from /admin
+const overrideKey = (subject: string) => `AIDemoQuota:${subject}`;
+
+// Limits applied to every chat request, tightest first. Override the sizes
+// with RATE_LIMIT_BURST / RATE_LIMIT_NETWORK / RATE_LIMIT_DAILY and the
+// algorithm with RATE_LIMIT_<NAME>_STRATEGY. Bursts are always per visitor;
+// the daily quota may be a classroom's pool with its own size. Visitors with
+// a session also share a daily cap per IP, so clearing cookies for a fresh
+// session doesn't buy a fresh quota.
+export async function getChatLimits(
+  identity: ClientIdentity
+): Promise<LimitRule[]> {
+  const daily = rule("daily", {
+    strategy: "sliding-window",
+    limit: 100,
+    windowSeconds: 24 * 3600,
+    pooled: true,
+  });
+  const override = Number(await redis.get(overrideKey(identity.poolKey)));
+
+  const network = rule("network", {
+    strategy: "sliding-window",
+    limit: 300,
+    windowSeconds: 24 * 3600,
+    perNetwork: true,
+  });
+  // Without a session the visitor already is the IP, and a classroom's pool
+  // is capped on its own
+  const sessionOnly = identity.key !== identity.network && !identity.classroom;
+
+  return [
+    rule("burst", { strategy: "token-bucket", limit: 5, windowSeconds: 60 }),
+    ...(sessionOnly ? [network] : []),
+    { ...daily, limit: override || identity.dailyLimit || daily.limit },
+  ];
+}
+
+function usageKey(rule: LimitRule, identity: ClientIdentity) {
+  const subject = rule.pooled
+    ? identity.poolKey
+    : rule.perNetwork
+    ? identity.network
+    : identity.key;
+  return `AIDemoUsage:${rule.name}:${subject}`;
+}
+
+// Consumes one request from every rule. If any rule denies it, the ones
+// already consumed are refunded and the denying result is returned.
+// Otherwise the result describes the last (daily) quota.
+export async function consume(identity: ClientIdentity): Promise<LimitResult> {
+  const rules = await getChatLimits(identity);
+  const passed: LimitResult[] = [];
+
+  for (const rule of rules) {
+    const result = await strategies[rule.strategy](
+      usageKey(rule, identity),
+      rule
+    );
+    if (!result.allowed) {
+      await Promise.all(passed.map((previous) => previous.refund()));
+      return result;
+    }
+    passed.push(result);
+  }
+
+  const last = passed[passed.length - 1];
+  return {
+    ...last,
+    refund: async () => {
+      await Promise.all(passed.map((result) => result.refund()));
+    },
+  };
+}
+
+// Current state of the last (daily) quota without using it up
+export async function peek(identity: ClientIdentity) {
+  const rules = await getChatLimits(identity);
+  const rule = rules[rules.length - 1];
+  return strategies[rule.strategy](usageKey(rule, identity), rule, {
+    peek: true,
+  });
+}
+
+// Audience question submissions, per visitor: RATE_LIMIT_QUESTIONS (3) per
+// five minutes
+export async function consumeQuestion(identity: ClientIdentity) {
+  const questions = rule("questions", {
+    strategy: "sliding-window",
+    limit: 3,
+    windowSeconds: 300,
+  });
+  return strategies[questions.strategy](
+    usageKey(questions, identity),
+    questions
+  );
+}
+
+// Saved conversations started, per visitor: RATE_LIMIT_CONVERSATIONS (20)
+// per hour
+export async function consumeConversation(identity: ClientIdentity) {
+  const conversations = rule("conversations", {
+    strategy: "sliding-window",
+    limit: 20,
+    windowSeconds: 3600,
+  });
+  return strategies[conversations.strategy](
+    usageKey(conversations, identity),
+    conversations
+  );
+}
+
+export function rateLimitHeaders(result: LimitResult) {
+  const headers: Record<string, string> = {
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(result.reset),
+  };
+  if (!result.allowed) {
+    headers["Retry-After"] = String(result.retryAfter);
+  }
+  return headers;
+}
+
+// Daily quotas currently being tracked, for the admin dashboard. Subjects
+// are "sid:<session>", "ip:<address>" or "class:<code>".
+export async function listQuotas(max = 500) {
+  const prefix = "AIDemoUsage:daily:";
+  const subjects: string[] = [];
+  let cursor: string | number = 0;
+
+  do {
+    const [next, keys]: [string | number, string[]] = await redis.scan(cursor, {
+      match: `${prefix}*`,
+      count: 100,
+    });
+    cursor = next;
+    subjects.push(...keys.map((key) => key.slice(prefix.length)));
+  } while (String(cursor) !== "0" && subjects.length < max);
+
+  return Promise.all(
+    subjects.slice(0, max).map(async (subject) => {
+      const classroom = subject.startsWith("class:") ? subject.slice(6) : null;
+      const quota = await peek({
+        key: subject,
+        poolKey: subject,
+        network: subject,
+        classroom,
+        dailyLimit: classroom ? getClassrooms().get(classroom) ?? null : null,
+      });
+      return {
+        subject,
+        limit: quota.limit,
+        used: quota.limit - quota.remaining,
+        remaining: quota.remaining,
+        reset: quota.reset,
+      };
+    })
+  );
+}
+
+// Forgets a subject's usage (burst, network and daily); the raised limit
+// stays
+export async function resetQuota(subject: string) {
+  await redis.del(
+    ...["burst", "network", "daily"].map(
+      (name) => `AIDemoUsage:${name}:${subject}`
+    )
+  );
+}
+
+// Raises (or with null, restores) a subject's daily limit
+export async function setDailyLimit(subject: string, limit: number | null) {
+  if (limit) {
+    await redis.set(overrideKey(subject), limit);
+  } else {
+    await redis.del(overrideKey(subject));
+  }
+}
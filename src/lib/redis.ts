@@ -0,0 +1,11 @@
+import { Redis } from "@upstash/redis";
+import { createMemoryRedis } from "@/lib/memoryRedis";
+import { isOfflineMode } from "@/lib/offline";
+
+// Offline, every route bundle (and dev hot reloads) share one in-memory store
+export const redis: Redis = isOfflineMode()
+  ? ((globalThis as any).__novaMemoryRedis ??= createMemoryRedis())
+  : new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
@@ -0,0 +1,69 @@
+// HMAC-signed tokens on Web Crypto, so they work in middleware (edge) and
+// route handlers (node) alike. Signed with SESSION_SECRET.
+export const SESSION_COOKIE = "nova_sid";
+export const SESSION_MAX_AGE = 365 * 24 * 3600;
+
+const encoder = new TextEncoder();
+
+export function isSessionConfigured() {
+  return Boolean(process.env.SESSION_SECRET);
+}
+
+function toBase64Url(buffer: ArrayBuffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+async function hmac(value: string) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(process.env.SESSION_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return toBase64Url(
+    await crypto.subtle.sign("HMAC", key, encoder.encode(value))
+  );
+}
+
+// Compares without bailing out early on the first differing character
+function safeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+export async function signValue(value: string) {
+  return `${value}.${await hmac(value)}`;
+}
+
+// Returns the signed value, or null if the token was tampered with
+export async function verifySignedValue(token: string | undefined | null) {
+  if (!token || !isSessionConfigured()) return null;
+
+  const dot = token.lastIndexOf(".");
+  if (dot <= 0) return null;
+
+  const value = token.slice(0, dot);
+  return safeEqual(token.slice(dot + 1), await hmac(value)) ? value : null;
+}
+
+export function createSessionToken() {
+  return signValue(crypto.randomUUID());
+}
+
+// Route handlers receive a plain Request, so parse the Cookie header by hand
+export function readCookie(request: Request, name: string) {
+  const cookies = request.headers.get("cookie") || "";
+  for (const cookie of cookies.split(";")) {
+    const [key, ...rest] = cookie.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
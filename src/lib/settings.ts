@@ -0,0 +1,92 @@
+import {
+  isInjectionPolicy,
+  type InjectionPolicy,
+} from "@/lib/moderation/injection";
+import { redis } from "@/lib/redis";
+
+// Live settings the presenter changes from /admin during an event
+export type Settings = {
+  aiPaused: boolean; // chat answers "taking a break" instead of calling the model
+  model: string | null; // overrides AI_MODEL
+  personaId: string | null; // forces one persona for every visitor
+  blockedTerms: string[]; // added to the moderation blocklist
+  blockedPatterns: string[]; // regular expressions, matched case-insensitively
+  injectionPolicy: InjectionPolicy | null; // overrides INJECTION_POLICY
+};
+
+const SETTINGS_KEY = "NovaSettings";
+const CACHE_MS = 5 * 1000;
+
+const defaults: Settings = {
+  aiPaused: false,
+  model: null,
+  personaId: null,
+  blockedTerms: [],
+  blockedPatterns: [],
+  injectionPolicy: null,
+};
+
+let cache: { settings: Settings; expiresAt: number } | null = null;
+
+export async function getSettings(): Promise<Settings> {
+  if (cache && cache.expiresAt > Date.now()) return cache.settings;
+
+  const stored = (await redis.get<Partial<Settings>>(SETTINGS_KEY)) || {};
+  const settings = { ...defaults, ...stored };
+  cache = { settings, expiresAt: Date.now() + CACHE_MS };
+  return settings;
+}
+
+// Accepts an array or one entry per line; invalid patterns are dropped
+function toList(value: any, current: string[], isValid = (_: string) => true) {
+  if (value === undefined) return current;
+
+  const entries = Array.isArray(value) ? value : String(value).split("\n");
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter((entry) => entry && isValid(entry))
+    .slice(0, 200);
+}
+
+function isValidPattern(source: string) {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function updateSettings(changes: any) {
+  const current = await getSettings();
+  const next: Settings = {
+    aiPaused:
+      typeof changes.aiPaused === "boolean"
+        ? changes.aiPaused
+        : current.aiPaused,
+    model:
+      changes.model === undefined
+        ? current.model
+        : String(changes.model || "").trim() || null,
+    personaId:
+      changes.personaId === undefined
+        ? current.personaId
+        : String(changes.personaId || "").trim() || null,
+    blockedTerms: toList(changes.blockedTerms, current.blockedTerms),
+    blockedPatterns: toList(
+      changes.blockedPatterns,
+      current.blockedPatterns,
+      isValidPattern
+    ),
+    injectionPolicy:
+      changes.injectionPolicy === undefined
+        ? current.injectionPolicy
+        : isInjectionPolicy(changes.injectionPolicy)
+        ? changes.injectionPolicy
+        : null,
+  };
+
+  await redis.set(SETTINGS_KEY, next);
+  cache = { settings: next, expiresAt: Date.now() + CACHE_MS };
+  return next;
+}
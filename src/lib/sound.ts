@@ -0,0 +1,237 @@
+// Sound effects synthesized with the Web Audio API, so there are no audio
+// files to download. Browsers only allow audio after a user gesture: until
+// installAudioUnlock() has seen a click or key press, sounds are skipped.
+
+export type SoundName = "engine" | "zoom" | "ding" | "sent" | "reply" | "error";
+
+export type SoundSettings = {
+  volume: number; // 0 - 1
+  muted: boolean;
+  quiet: boolean; // soft cues only, at half volume
+};
+
+export const defaultSoundSettings: SoundSettings = {
+  volume: 0.6,
+  muted: false,
+  quiet: false,
+};
+
+// The big effects, left out in quiet mode and for reduced motion
+const FLOURISHES: SoundName[] = ["engine", "zoom"];
+const QUIET_VOLUME = 0.5;
+const STORAGE_KEY = "nova:sound";
+
+let context: AudioContext | null = null;
+let master: GainNode | null = null;
+let settings: SoundSettings | null = null;
+
+export function getSoundSettings(): SoundSettings {
+  if (!settings) {
+    settings = { ...defaultSoundSettings };
+    try {
+      Object.assign(
+        settings,
+        JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}")
+      );
+    } catch {
+      // No storage (server render) or corrupt settings
+    }
+  }
+  return settings;
+}
+
+export function setSoundSettings(changes: Partial<SoundSettings>) {
+  settings = { ...getSoundSettings(), ...changes };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  applyVolume();
+  return settings;
+}
+
+function applyVolume() {
+  if (!context || !master) return;
+  const { volume, muted, quiet } = getSoundSettings();
+  const level = muted ? 0 : volume * (quiet ? QUIET_VOLUME : 1);
+  master.gain.setTargetAtTime(level, context.currentTime, 0.02);
+}
+
+function prefersReducedMotion() {
+  return Boolean(
+    window.matchMedia?.("(prefers-reduced-motion: reduce)").matches
+  );
+}
+
+// Creates or resumes the audio context; only works inside a user gesture
+function unlock() {
+  const AudioContextClass =
+    window.AudioContext || (window as any).webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  if (!context) {
+    context = new AudioContextClass();
+    master = context.createGain();
+    master.gain.value = 0;
+    master.connect(context.destination);
+    applyVolume();
+  }
+  if (context.state === "suspended") context.resume();
+}
+
+// Unlocks audio on the first click, tap or key press. Returns a cleanup
+// function for effects.
+export function installAudioUnlock() {
+  if (typeof window === "undefined") return () => {};
+
+  const events = ["pointerdown", "keydown"];
+  const remove = () =>
+    events.forEach((event) => window.removeEventListener(event, handler, true));
+  const handler = () => {
+    unlock();
+    remove();
+  };
+  events.forEach((event) => window.addEventListener(event, handler, true));
+  return remove;
+}
+
+type Tone = {
+  type?: OscillatorType;
+  from: number; // Hz
+  to?: number; // Hz, glides from `from`
+  start?: number; // seconds from now
+  duration: number;
+  gain?: number;
+};
+
+// One oscillator with a quick attack and an exponential fade
+function tone(
+  ctx: AudioContext,
+  output: AudioNode,
+  { type = "sine", from, to = from, start = 0, duration, gain = 0.2 }: Tone
+) {
+  const time = ctx.currentTime + start;
+  const oscillator = ctx.createOscillator();
+  const envelope = ctx.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, time);
+  if (to !== from) {
+    oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+  }
+  envelope.gain.setValueAtTime(0.0001, time);
+  envelope.gain.exponentialRampToValueAtTime(gain, time + 0.01);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+  oscillator.connect(envelope).connect(output);
+  oscillator.start(time);
+  oscillator.stop(time + duration + 0.05);
+}
+
+// White noise through a band-pass filter sweeping from `from` to `to`
+function sweep(
+  ctx: AudioContext,
+  output: AudioNode,
+  { from, to = from, start = 0, duration, gain = 0.2 }: Tone
+) {
+  const time = ctx.currentTime + start;
+  const buffer = ctx.createBuffer(
+    1,
+    Math.ceil(ctx.sampleRate * duration),
+    ctx.sampleRate
+  );
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const envelope = ctx.createGain();
+  source.buffer = buffer;
+  filter.type = "bandpass";
+  filter.Q.value = 1.5;
+  filter.frequency.setValueAtTime(from, time);
+  filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+  envelope.gain.setValueAtTime(0.0001, time);
+  envelope.gain.exponentialRampToValueAtTime(gain, time + duration * 0.2);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+  source.connect(filter).connect(envelope).connect(output);
+  source.start(time);
+}
+
+const SOUNDS: Record<
+  SoundName,
+  (ctx: AudioContext, output: AudioNode) => void
+> = {
+  // A filtered sawtooth revving up and settling into an idle
+  engine(ctx, output) {
+    const time = ctx.currentTime;
+    const oscillator = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter();
+    const envelope = ctx.createGain();
+
+    oscillator.type = "sawtooth";
+    oscillator.frequency.setValueAtTime(55, time);
+    oscillator.frequency.exponentialRampToValueAtTime(170, time + 0.6);
+    oscillator.frequency.exponentialRampToValueAtTime(85, time + 1.4);
+    filter.type = "lowpass";
+    filter.frequency.value = 700;
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(0.25, time + 0.1);
+    envelope.gain.setValueAtTime(0.25, time + 1);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + 1.6);
+
+    oscillator.connect(filter).connect(envelope).connect(output);
+    oscillator.start(time);
+    oscillator.stop(time + 1.65);
+  },
+  zoom(ctx, output) {
+    sweep(ctx, output, { from: 3000, to: 300, duration: 0.9, gain: 0.25 });
+    tone(ctx, output, { from: 600, to: 120, duration: 0.8, gain: 0.06 });
+  },
+  ding(ctx, output) {
+    tone(ctx, output, { from: 1318.5, duration: 0.9, gain: 0.25 });
+    tone(ctx, output, { from: 1975.5, start: 0.08, duration: 1, gain: 0.12 });
+  },
+  sent(ctx, output) {
+    tone(ctx, output, { from: 520, to: 880, duration: 0.12, gain: 0.15 });
+  },
+  reply(ctx, output) {
+    tone(ctx, output, { type: "triangle", from: 660, duration: 0.25 });
+    tone(ctx, output, {
+      type: "triangle",
+      from: 990,
+      start: 0.1,
+      duration: 0.35,
+      gain: 0.15,
+    });
+  },
+  error(ctx, output) {
+    tone(ctx, output, {
+      type: "square",
+      from: 200,
+      to: 140,
+      duration: 0.18,
+      gain: 0.08,
+    });
+    tone(ctx, output, {
+      type: "square",
+      from: 160,
+      to: 110,
+      start: 0.2,
+      duration: 0.25,
+      gain: 0.08,
+    });
+  },
+};
+
+export function playSound(name: SoundName) {
+  if (!context || !master || context.state !== "running") return;
+
+  const { muted, quiet } = getSoundSettings();
+  if (muted) return;
+  if (FLOURISHES.includes(name) && (quiet || prefersReducedMotion())) return;
+
+  try {
+    SOUNDS[name](context, master);
+  } catch (error) {
+    console.error(`Could not play the ${name} sound:`, error);
+  }
+}
@@ -0,0 +1,125 @@
+// Browser speech helpers: recognition for voice input and synthesis for
+// reading replies aloud. Both are optional browser features, so every helper
+// degrades to a no-op where they are missing.
+
+export type VoiceSettings = {
+  speakReplies: boolean;
+  voiceURI: string; // "" = the browser's default voice
+  rate: number; // 0.5 - 2
+  pushToTalk: boolean; // hold the mic button instead of clicking it
+  autoSend: boolean; // send as soon as the speaker stops
+};
+
+export const defaultVoiceSettings: VoiceSettings = {
+  speakReplies: false,
+  voiceURI: "",
+  rate: 1,
+  pushToTalk: false,
+  autoSend: true,
+};
+
+// Chrome and Safari still ship recognition under the webkit prefix
+export function getSpeechRecognition(): any {
+  if (typeof window === "undefined") return null;
+  return (
+    (window as any).SpeechRecognition ||
+    (window as any).webkitSpeechRecognition ||
+    null
+  );
+}
+
+export function canSpeak() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+// Turns a markdown reply into what should be read aloud: no code, link
+// targets, table pipes, formatting characters, math delimiters or emoji
+export function stripMarkdown(markdown: string) {
+  return (
+    markdown
+      .replace(/```[\s\S]*?```/g, "")
+      .replace(/`([^`]*)`/g, "$1")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/^[ \t]{0,3}(#{1,6}|>+)[ \t]*/gm, "")
+      .replace(/^[ \t]*([-*+]|\d+\.)[ \t]+/gm, "")
+      .replace(/^[ \t]*\|?[ \t]*:?-{3,}.*$/gm, "")
+      .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (_, row) =>
+        row.split("|").join(", ")
+      )
+      .replace(/(\*\*|__|\*|_|~~)(.+?)\1/g, "$2")
+      .replace(/\$+/g, "")
+      .replace(/\p{Extended_Pictographic}\uFE0F?/gu, "")
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      // Every line is its own sentence, so the voice pauses between them
+      .map((line) => (/[.!?:;,]$/.test(line) ? line : `${line}.`))
+      .join(" ")
+      .replace(/\s+([.!?:;,])/g, "$1")
+  );
+}
+
+// Long utterances get cut off in some browsers, so speech is queued one
+// sentence group at a time
+function chunks(text: string, maxLength = 200) {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [text];
+  const result: string[] = [];
+  for (const sentence of sentences) {
+    const last = result[result.length - 1];
+    if (last && last.length + sentence.length <= maxLength) {
+      result[result.length - 1] = last + sentence;
+    } else {
+      result.push(sentence);
+    }
+  }
+  return result.map((chunk) => chunk.trim()).filter(Boolean);
+}
+
+// Reads `text` aloud, replacing anything already being spoken. `onEnd` runs
+// once when speech finishes or is interrupted.
+export function speak(
+  text: string,
+  {
+    voiceURI,
+    rate = 1,
+    onStart,
+    onEnd,
+  }: {
+    voiceURI?: string;
+    rate?: number;
+    onStart?: () => void;
+    onEnd?: () => void;
+  } = {}
+) {
+  if (!canSpeak()) return;
+  const synth = window.speechSynthesis;
+  synth.cancel();
+
+  const parts = chunks(stripMarkdown(text));
+  if (!parts.length) return;
+
+  const voice = synth.getVoices().find((entry) => entry.voiceURI === voiceURI);
+  let ended = false;
+  const finish = () => {
+    if (!ended) {
+      ended = true;
+      onEnd?.();
+    }
+  };
+
+  parts.forEach((part, index) => {
+    const utterance = new SpeechSynthesisUtterance(part);
+    if (voice) utterance.voice = voice;
+    utterance.rate = rate;
+    if (index === 0) utterance.onstart = () => onStart?.();
+    if (index === parts.length - 1) utterance.onend = finish;
+    utterance.onerror = finish;
+    synth.speak(utterance);
+  });
+}
+
+export function stopSpeaking() {
+  if (canSpeak()) window.speechSynthesis.cancel();
+}
@@ -0,0 +1,8 @@
+// A tool call the model got wrong (a missing or impossible input). The
+// message goes back to the model so it can fix the call or explain.
+export class ToolError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ToolError";
+  }
+}
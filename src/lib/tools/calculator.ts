@@ -0,0 +1,150 @@
+import { ToolError } from "./ToolError";
+import type { Tool } from "./types";
+
+// Arithmetic without eval(): numbers, + - * / % ^, parentheses, pi, e and a
+// few functions. Trig functions take radians.
+const FUNCTIONS: Record<string, (...args: number[]) => number> = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  min: Math.min,
+  max: Math.max,
+};
+
+const CONSTANTS: Record<string, number> = { pi: Math.PI, e: Math.E };
+
+const MAX_LENGTH = 200;
+
+export function evaluate(expression: string) {
+  if (expression.length > MAX_LENGTH) {
+    throw new ToolError(`Expressions are limited to ${MAX_LENGTH} characters`);
+  }
+
+  const tokens =
+    expression
+      .toLowerCase()
+      .replace(/×/g, "*")
+      .replace(/÷/g, "/")
+      .match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z]+|\*\*|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (token: string) => {
+    if (tokens[position++] !== token) {
+      throw new ToolError(`Expected "${token}" in ${expression}`);
+    }
+  };
+
+  // sum := product (("+" | "-") product)*
+  const sum = (): number => {
+    let value = product();
+    while (peek() === "+" || peek() === "-") {
+      value =
+        tokens[position++] === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  // product := signed (("*" | "/" | "%") signed)*
+  const product = (): number => {
+    let value = signed();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const operator = tokens[position++];
+      const right = signed();
+      value =
+        operator === "*"
+          ? value * right
+          : operator === "/"
+          ? value / right
+          : value % right;
+    }
+    return value;
+  };
+
+  // signed := ("-" | "+") signed | power, so -2^2 is -4
+  const signed = (): number => {
+    if (peek() === "-" || peek() === "+") {
+      return tokens[position++] === "-" ? -signed() : signed();
+    }
+    return power();
+  };
+
+  // power := primary (("^" | "**") signed)?, right-associative
+  const power = (): number => {
+    const base = primary();
+    if (peek() === "^" || peek() === "**") {
+      position++;
+      return base ** signed();
+    }
+    return base;
+  };
+
+  const primary = (): number => {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new ToolError(`${expression} ends too early`);
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+    if (token === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+    if (token in CONSTANTS) return CONSTANTS[token];
+    if (token in FUNCTIONS) {
+      expect("(");
+      const args = [sum()];
+      while (peek() === ",") {
+        position++;
+        args.push(sum());
+      }
+      expect(")");
+      return FUNCTIONS[token](...args);
+    }
+    throw new ToolError(`Unknown symbol "${token}" in ${expression}`);
+  };
+
+  const value = sum();
+  if (position < tokens.length) {
+    throw new ToolError(`Unexpected "${tokens[position]}" in ${expression}`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new ToolError(`${expression} has no finite result`);
+  }
+  return value;
+}
+
+export const calculator: Tool = {
+  name: "calculator",
+  label: "Calculator",
+  description:
+    "Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan (radians), log (base 10), ln, min and max.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: {
+        type: "string",
+        description: "The expression, e.g. (7.4 * 3300) / 60",
+      },
+    },
+    required: ["expression"],
+  },
+  run(args) {
+    if (typeof args.expression !== "string" || !args.expression.trim()) {
+      throw new ToolError("expression must be a non-empty string");
+    }
+    const expression = args.expression.trim();
+    const value = Number(evaluate(expression).toPrecision(12));
+    return {
+      result: { expression, value },
+      summary: `${expression} = ${value}`,
+    };
+  },
+};
@@ -0,0 +1,89 @@
+import { calculator } from "./calculator";
+import { batteryRuntime, gearing, scaleSpeed } from "./rcCar";
+import { ToolError } from "./ToolError";
+import type { Tool, ToolCall, ToolCard } from "./types";
+
+export type { Tool, ToolCall, ToolCard } from "./types";
+
+// Functions the model can ask for mid-reply. They run here on the server,
+// and their results are sent back to the model so it can finish the answer.
+const TOOLS: Tool[] = [scaleSpeed, gearing, batteryRuntime, calculator];
+
+// Rounds of calls per reply; the request after the last one offers no tools,
+// so the model has to answer
+export const MAX_TOOL_ROUNDS = 3;
+
+// AI_TOOLS=off for models or servers that reject the `tools` field
+export function toolsEnabled() {
+  return (process.env.AI_TOOLS || "on").toLowerCase() !== "off";
+}
+
+// The registry in the OpenAI chat completions format
+export function toolDefinitions() {
+  return TOOLS.map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+}
+
+function runToolCall({ id, name, arguments: json }: ToolCall) {
+  const tool = TOOLS.find((candidate) => candidate.name === name);
+  try {
+    if (!tool) throw new ToolError(`There is no tool named "${name}"`);
+
+    let args;
+    try {
+      args = JSON.parse(json || "{}");
+    } catch {
+      throw new ToolError("The arguments are not valid JSON");
+    }
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+      throw new ToolError("The arguments must be a JSON object");
+    }
+
+    const { result, summary } = tool.run(args);
+    return {
+      card: { id, name, label: tool.label, summary },
+      content: JSON.stringify(result),
+    };
+  } catch (error: any) {
+    // Mistakes in the call go back to the model; anything else is a bug
+    if (!(error instanceof ToolError)) throw error;
+    return {
+      card: {
+        id,
+        name,
+        label: tool?.label || name,
+        summary: error.message,
+        error: true,
+      },
+      content: JSON.stringify({ error: error.message }),
+    };
+  }
+}
+
+// Runs the calls from one model response. Returns the messages that continue
+// the conversation (the assistant's calls, then one result per call) and the
+// cards for the chat.
+export function runToolCalls(calls: ToolCall[], content = "") {
+  const runs = calls.map(runToolCall);
+  return {
+    messages: [
+      {
+        role: "assistant",
+        content: content || null,
+        tool_calls: calls.map(({ id, name, arguments: args }) => ({
+          id,
+          type: "function",
+          function: { name, arguments: args },
+        })),
+      },
+      ...runs.map(({ card, content }) => ({
+        role: "tool",
+        tool_call_id: card.id,
+        content,
+      })),
+    ],
+    cards: runs.map(({ card }) => card) as ToolCard[],
+  };
+}
@@ -0,0 +1,221 @@
+import { ToolError } from "./ToolError";
+import type { Tool } from "./types";
+
+const KMH_PER_MPH = 1.609344;
+// Nominal LiPo cell voltage, used when only the cell count is known
+const CELL_VOLTS = 3.7;
+
+function readNumber(
+  args: Record<string, any>,
+  key: string,
+  { required = false, min = 0 } = {}
+) {
+  const value = args[key];
+  if (value === undefined || value === null) {
+    if (required) throw new ToolError(`${key} is required`);
+    return null;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= min) {
+    throw new ToolError(`${key} must be a number above ${min}`);
+  }
+  return value;
+}
+
+const format = (value: number, digits = 1) =>
+  value.toLocaleString("en-US", { maximumFractionDigits: digits });
+
+const speeds = (kmh: number) => ({
+  kmh: Number(kmh.toFixed(1)),
+  mph: Number((kmh / KMH_PER_MPH).toFixed(1)),
+});
+
+export const scaleSpeed: Tool = {
+  name: "scale_speed",
+  label: "Scale speed",
+  description:
+    "Converts an RC car's speed to the full-size speed it looks like at its scale, or a full-size speed to the model speed that looks like it. A 1/10 car at 40 km/h looks like 400 km/h.",
+  parameters: {
+    type: "object",
+    properties: {
+      speed: { type: "number", description: "The speed to convert" },
+      unit: {
+        type: "string",
+        enum: ["km/h", "mph"],
+        description: "Unit of the speed, km/h by default",
+      },
+      scale: {
+        type: "number",
+        description: "Scale of the model as its denominator, e.g. 10 for 1/10",
+      },
+      direction: {
+        type: "string",
+        enum: ["to_full_size", "to_model"],
+        description:
+          "to_full_size (default) converts the model's speed, to_model converts a full-size speed",
+      },
+    },
+    required: ["speed", "scale"],
+  },
+  run(args) {
+    const speed = readNumber(args, "speed", { required: true }) as number;
+    let scale = readNumber(args, "scale", { required: true }) as number;
+    // Accept 0.1 for 1/10 as well
+    if (scale < 1) scale = 1 / scale;
+    const unit = args.unit ?? "km/h";
+    if (unit !== "km/h" && unit !== "mph") {
+      throw new ToolError('unit must be "km/h" or "mph"');
+    }
+
+    const kmh = unit === "mph" ? speed * KMH_PER_MPH : speed;
+    const toModel = args.direction === "to_model";
+    const model = speeds(toModel ? kmh / scale : kmh);
+    const fullSize = speeds(toModel ? kmh : kmh * scale);
+    const label = `1/${format(scale)}`;
+
+    return {
+      result: { scale: label, modelSpeed: model, fullSizeSpeed: fullSize },
+      summary: `${format(model.kmh)} km/h (${format(
+        model.mph
+      )} mph) at ${label} scale looks like ${format(
+        fullSize.kmh,
+        0
+      )} km/h (${format(fullSize.mph, 0)} mph) full size`,
+    };
+  },
+};
+
+export const gearing: Tool = {
+  name: "gearing",
+  label: "Gearing",
+  description:
+    "Works out the final drive ratio from the pinion and spur gears, the theoretical top speed from the motor kV, battery voltage and tire size, and the pinion needed for a target top speed.",
+  parameters: {
+    type: "object",
+    properties: {
+      spurTeeth: { type: "number", description: "Teeth on the spur gear" },
+      pinionTeeth: { type: "number", description: "Teeth on the pinion gear" },
+      transmissionRatio: {
+        type: "number",
+        description:
+          "Internal ratio of the transmission, 1 (default) for direct drive",
+      },
+      motorKv: { type: "number", description: "Motor kV (RPM per volt)" },
+      batteryVolts: { type: "number", description: "Battery voltage" },
+      cells: {
+        type: "number",
+        description: "LiPo cells in series, when the voltage is not given",
+      },
+      tireDiameterMm: { type: "number", description: "Tire diameter in mm" },
+      targetSpeedKmh: {
+        type: "number",
+        description: "Top speed to find the gearing for, in km/h",
+      },
+    },
+  },
+  run(args) {
+    const spur = readNumber(args, "spurTeeth");
+    const pinion = readNumber(args, "pinionTeeth");
+    const transmission = readNumber(args, "transmissionRatio") ?? 1;
+    const kv = readNumber(args, "motorKv");
+    const cells = readNumber(args, "cells");
+    const volts =
+      readNumber(args, "batteryVolts") ?? (cells ? cells * CELL_VOLTS : null);
+    const tire = readNumber(args, "tireDiameterMm");
+    const target = readNumber(args, "targetSpeedKmh");
+
+    const ratio = spur && pinion ? (spur / pinion) * transmission : null;
+    // km/h at the tire for each motor RPM with a 1:1 drive
+    const kmhPerRpm = tire ? (Math.PI * tire * 60) / 1e6 : null;
+    const motorRpm = kv && volts ? kv * volts : null;
+
+    const result: Record<string, any> = {};
+    const summary: string[] = [];
+    if (ratio) {
+      result.finalDriveRatio = Number(ratio.toFixed(2));
+      summary.push(`final drive ${format(ratio, 2)}:1`);
+    }
+    if (ratio && motorRpm && kmhPerRpm) {
+      const top = speeds((motorRpm / ratio) * kmhPerRpm);
+      result.motorRpm = Math.round(motorRpm);
+      result.topSpeed = top;
+      summary.push(
+        `top speed about ${format(top.kmh)} km/h (${format(top.mph)} mph)`
+      );
+    }
+    if (target && motorRpm && kmhPerRpm) {
+      const needed = (motorRpm * kmhPerRpm) / target;
+      result.requiredFinalDriveRatio = Number(needed.toFixed(2));
+      summary.push(`${format(target)} km/h needs ${format(needed, 2)}:1`);
+      if (spur) {
+        result.suggestedPinionTeeth = Math.round(
+          (spur * transmission) / needed
+        );
+        summary.push(`pinion ${result.suggestedPinionTeeth}T on spur ${spur}T`);
+      }
+    }
+
+    if (!summary.length) {
+      throw new ToolError(
+        "Give spurTeeth and pinionTeeth for the ratio, plus motorKv, batteryVolts (or cells) and tireDiameterMm for speeds"
+      );
+    }
+    if (result.topSpeed) {
+      result.note =
+        "Theoretical unloaded speed; drag and load usually cost 15-30%";
+    }
+    return { result, summary: summary.join(", ") };
+  },
+};
+
+export const batteryRuntime: Tool = {
+  name: "battery_runtime",
+  label: "Battery runtime",
+  description:
+    "Estimates how long a battery pack lasts at an average current draw, and its energy when the cell count is known.",
+  parameters: {
+    type: "object",
+    properties: {
+      capacityMah: { type: "number", description: "Pack capacity in mAh" },
+      averageCurrentA: {
+        type: "number",
+        description: "Average current draw while driving, in amps",
+      },
+      cells: { type: "number", description: "LiPo cells in series" },
+      usablePercent: {
+        type: "number",
+        description:
+          "Share of the capacity to use, 80 by default to keep LiPo packs healthy",
+      },
+    },
+    required: ["capacityMah", "averageCurrentA"],
+  },
+  run(args) {
+    const capacity = readNumber(args, "capacityMah", {
+      required: true,
+    }) as number;
+    const current = readNumber(args, "averageCurrentA", {
+      required: true,
+    }) as number;
+    const cells = readNumber(args, "cells");
+    const usable = Math.min(readNumber(args, "usablePercent") ?? 80, 100);
+
+    const minutes = ((capacity / 1000) * (usable / 100) * 60) / current;
+    const result: Record<string, any> = {
+      runtimeMinutes: Number(minutes.toFixed(1)),
+      usablePercent: usable,
+    };
+    let summary = `${format(capacity, 0)} mAh at ${format(
+      current
+    )} A: about ${format(minutes, 0)} minutes using ${format(
+      usable,
+      0
+    )}% of the pack`;
+    if (cells) {
+      result.energyWh = Number(
+        ((capacity / 1000) * cells * CELL_VOLTS).toFixed(1)
+      );
+      summary += ` (${format(result.energyWh)} Wh)`;
+    }
+    return { result, summary };
+  },
+};
@@ -0,0 +1,25 @@
+// A function the model may call. `parameters` is the JSON schema sent to the
+// provider; `run` gets the parsed arguments and returns the result the model
+// reads, plus a one-line summary for the card in the chat.
+export type Tool = {
+  name: string;
+  label: string;
+  description: string;
+  parameters: Record<string, any>;
+  run: (args: Record<string, any>) => {
+    result: Record<string, any>;
+    summary: string;
+  };
+};
+
+// A call as the provider returned it; `arguments` is a JSON string
+export type ToolCall = { id: string; name: string; arguments: string };
+
+// What the chat shows for a call, and stores with the reply
+export type ToolCard = {
+  id: string;
+  name: string;
+  label: string;
+  summary: string;
+  error?: boolean;
+};
@@ -0,0 +1,228 @@
+// Transcripts to hand out after a session: Markdown, a self-contained HTML
+// page for printing, and JSON. The JSON keeps everything needed to import the
+// conversation again.
+
+export type TranscriptMessage = {
+  role: "user" | "assistant";
+  content: string;
+  timestamp?: string;
+  author?: string; // nickname of an audience member who asked
+};
+
+export type Transcript = {
+  format: "nova-transcript";
+  version: 1;
+  title: string;
+  persona: { id: string; name: string } | null;
+  exportedAt: string;
+  messages: TranscriptMessage[];
+};
+
+const FORMAT = "nova-transcript";
+
+export function createTranscript(
+  messages: any[],
+  {
+    title,
+    persona,
+  }: { title?: string; persona?: { id: string; name: string } | null }
+): Transcript {
+  const cleanMessages = messages
+    .filter(
+      (message) =>
+        message &&
+        (message.role === "user" || message.role === "assistant") &&
+        typeof message.content === "string" &&
+        message.content.trim()
+    )
+    .map(({ role, content, timestamp, author }) => ({
+      role,
+      content,
+      ...(typeof timestamp === "string" ? { timestamp } : {}),
+      ...(typeof author === "string" ? { author } : {}),
+    }));
+  const firstQuestion = cleanMessages.find(
+    (message) => message.role === "user"
+  );
+
+  return {
+    format: FORMAT,
+    version: 1,
+    title:
+      title?.trim() ||
+      firstQuestion?.content.trim().slice(0, 80) ||
+      "Conversation",
+    persona: persona ? { id: persona.id, name: persona.name } : null,
+    exportedAt: new Date().toISOString(),
+    messages: cleanMessages,
+  };
+}
+
+function speaker(message: TranscriptMessage, transcript: Transcript) {
+  if (message.role === "assistant") return transcript.persona?.name || "Nova";
+  return message.author ? `${message.author} (audience)` : "You";
+}
+
+function exportedOn(transcript: Transcript) {
+  return new Date(transcript.exportedAt).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+export function transcriptToMarkdown(transcript: Transcript) {
+  const header = [
+    `# ${transcript.title}`,
+    "",
+    `_${[transcript.persona?.name, `exported ${exportedOn(transcript)}`]
+      .filter(Boolean)
+      .join(" · ")}_`,
+  ];
+  const body = transcript.messages.map((message) =>
+    [
+      `**${speaker(message, transcript)}**${
+        message.timestamp ? ` · ${message.timestamp}` : ""
+      }`,
+      "",
+      message.content.trim(),
+    ].join("\n")
+  );
+  return [...header, "", "---", "", body.join("\n\n---\n\n"), ""].join("\n");
+}
+
+function escapeHtml(text: string) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLES = `
+  body { margin: 0; padding: 2rem; background: #eef2ff; color: #1e293b;
+    font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 48rem; margin: 0 auto; }
+  h1 { margin: 0 0 0.25rem; }
+  .subtitle { margin: 0 0 2rem; color: #64748b; }
+  .message { display: flex; flex-direction: column; margin-bottom: 1.25rem; break-inside: avoid; }
+  .message.user { align-items: flex-end; }
+  .bubble { max-width: 85%; padding: 0.75rem 1.25rem; border-radius: 1rem;
+    background: #ffffff; border: 1px solid #c7d2fe; }
+  .message.user .bubble { background: #3b82f6; border-color: #2563eb; color: #ffffff; }
+  .meta { margin-top: 0.25rem; font-size: 0.8rem; color: #64748b; }
+  .bubble p { margin: 0.5rem 0; }
+  .bubble table { border-collapse: collapse; margin: 0.5rem 0; }
+  .bubble th, .bubble td { border: 1px solid #cbd5e1; padding: 0.25rem 0.75rem; text-align: left; }
+  .bubble code, .bubble pre { font-family: ui-monospace, Menlo, Consolas, monospace; }
+  .bubble :not(pre) > code { padding: 0.1em 0.4em; border-radius: 0.375rem; background: rgba(0, 0, 0, 0.08); }
+  .code-block { margin: 0.75rem 0; border-radius: 0.75rem; overflow: hidden; background: #0f172a; color: #e2e8f0; }
+  .code-block-header { padding: 0.25rem 1rem; background: #1e293b; font: 0.8rem ui-monospace, Menlo, monospace; }
+  .code-block button { display: none; }
+  .code-block pre { margin: 0; padding: 0.75rem 1rem; overflow-x: auto; }
+  .hljs-comment, .hljs-quote { color: #8b949e; font-style: italic; }
+  .hljs-keyword, .hljs-selector-tag, .hljs-type { color: #ff7b72; }
+  .hljs-string, .hljs-regexp { color: #a5d6ff; }
+  .hljs-number, .hljs-literal, .hljs-variable, .hljs-attr, .hljs-built_in { color: #79c0ff; }
+  .hljs-title, .hljs-section { color: #d2a8ff; }
+  .hljs-meta, .hljs-symbol { color: #ffa657; }
+  /* Math is shown through its MathML, so no KaTeX stylesheet is needed */
+  .katex-html { display: none; }
+  .bubble a { color: inherit; }
+  @media print { body { background: #ffffff; padding: 0; } }
+`;
+
+// A standalone page: `renderContent` turns a message's markdown into HTML
+// the same way the chat does
+export function transcriptToHtml(
+  transcript: Transcript,
+  renderContent: (markdown: string) => string
+) {
+  const messages = transcript.messages
+    .map(
+      (message) => `
+    <div class="message ${message.role}">
+      <div class="bubble">${renderContent(message.content)}</div>
+      <div class="meta">${escapeHtml(
+        [speaker(message, transcript), message.timestamp]
+          .filter(Boolean)
+          .join(" · ")
+      )}</div>
+    </div>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(transcript.title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(transcript.title)}</h1>
+    <p class="subtitle">${escapeHtml(
+      [transcript.persona?.name, `Exported ${exportedOn(transcript)}`]
+        .filter(Boolean)
+        .join(" · ")
+    )}</p>${messages}
+  </main>
+</body>
+</html>
+`;
+}
+
+export function transcriptToJson(transcript: Transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+// Validates an imported JSON transcript; throws with a message fit for the
+// user
+export function parseTranscript(json: string): Transcript {
+  let raw: any;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error("That file isn't valid JSON");
+  }
+
+  if (raw?.format !== FORMAT) {
+    throw new Error("That file isn't a Nova transcript");
+  }
+  if (raw.version !== 1) {
+    throw new Error(`Transcript version ${raw.version} isn't supported`);
+  }
+  if (!Array.isArray(raw.messages)) {
+    throw new Error("The transcript has no messages list");
+  }
+
+  const transcript = createTranscript(raw.messages, {
+    title: typeof raw.title === "string" ? raw.title : "",
+    persona:
+      typeof raw.persona?.id === "string"
+        ? { id: raw.persona.id, name: String(raw.persona.name || "") }
+        : null,
+  });
+  if (!transcript.messages.length) {
+    throw new Error("The transcript has no messages");
+  }
+  return {
+    ...transcript,
+    exportedAt:
+      typeof raw.exportedAt === "string"
+        ? raw.exportedAt
+        : transcript.exportedAt,
+  };
+}
+
+// e.g. "how-fast-can-an-rc-car-go-2026-10-19.md"
+export function transcriptFileName(transcript: Transcript, extension: string) {
+  const slug =
+    transcript.title
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .slice(0, 50)
+      .replace(/^-+|-+$/g, "") || "transcript";
+  return `${slug}-${transcript.exportedAt.slice(0, 10)}.${extension}`;
+}
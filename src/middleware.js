@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import {
+  SESSION_COOKIE,
+  SESSION_MAX_AGE,
+  createSessionToken,
+  isSessionConfigured,
+  verifySignedValue,
+} from "@/lib/session";
+
+// Issues the anonymous session cookie used as the visitor's quota identity.
+// Only page loads get one: an API client that never sends the cookie back
+// would otherwise get a fresh quota on every request, so API requests
+// without a valid session are counted by IP instead.
+export async function middleware(request) {
+  if (!isSessionConfigured()) return NextResponse.next();
+
+  const existing = request.cookies.get(SESSION_COOKIE)?.value;
+  if (await verifySignedValue(existing)) return NextResponse.next();
+
+  const token = await createSessionToken();
+  const response = NextResponse.next();
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: SESSION_MAX_AGE,
+  });
+  return response;
+}
+
+export const config = {
+  matcher: ["/((?!api/|_next/static|_next/image|favicon.ico).*)"],
+};